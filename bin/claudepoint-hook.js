@@ -8,10 +8,15 @@
  * - Safety checkpoints before bulk operations
  * - Optional changelog integration
  * - Smart batching to avoid checkpoint spam
+ * - Reading the tool payload Claude Code sends on stdin, so checkpoints record
+ *   (and, in targeted mode, only snapshot) the files about to be touched
+ * - PostToolUse change records: what each tool call actually changed
+ * - UserPromptSubmit checkpoints: one undo point per prompt you send
+ * - Session start checkpoints, taken at the first hook event of every session
  */
 
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 import { promises as fsPromises } from 'fs';
 import CheckpointManager from '../src/lib/checkpoint-manager.js';
 import { program } from 'commander';
@@ -30,6 +35,7 @@ program
 program
   .option('--trigger <type>', 'Hook trigger type')
   .option('--tool <name>', 'Tool name that triggered the hook')
+  .option('--targeted', 'Only snapshot the files named in the hook payload')
   .option('--debug', 'Enable debug output')
   .parse();
 
@@ -48,14 +54,127 @@ async function logHookAttempt(projectDir, message, isError = false) {
   }
 }
 
-async function findProjectDirectory() {
+// Claude Code pipes a JSON payload to hooks: { session_id, cwd, hook_event_name, tool_name,
+// tool_input: { file_path | notebook_path | edits | command, ... } }. Resolves to null when
+// there is none (manual runs from a terminal) or it can't be parsed.
+async function readHookPayload() {
+  if (process.stdin.isTTY) {
+    return null;
+  }
+
+  return new Promise((resolve) => {
+    let data = '';
+    const finish = () => {
+      clearTimeout(timer);
+      try {
+        resolve(data.trim() ? JSON.parse(data) : null);
+      } catch (error) {
+        resolve(null);
+      }
+    };
+    // Never let a stdin that stays open hold up the tool call
+    const timer = setTimeout(() => {
+      process.stdin.destroy();
+      finish();
+    }, 1000);
+
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', finish);
+    process.stdin.on('error', finish);
+  });
+}
+
+// Paths the tool is about to write - Bash commands can touch anything, so they name none
+function extractHookTargets(toolInput = {}) {
+  const targets = [toolInput.file_path, toolInput.notebook_path];
+  if (Array.isArray(toolInput.edits)) {
+    toolInput.edits.forEach(edit => targets.push(edit?.file_path));
+  }
+  return [...new Set(targets.filter(target => typeof target === 'string' && target))];
+}
+
+// create() options for the session: with the session_start trigger off, the first checkpoint
+// of a session is a forced full one instead, so `restore --session-start` still has a full
+// pre-session tree to go back to.
+async function buildSessionOptions(manager, options, payload) {
+  let sessionStart = false;
+  if (payload?.session_id) {
+    const checkpoints = await manager.getCheckpoints();
+    sessionStart = !checkpoints.some(cp => cp.session?.id === payload.session_id);
+  }
+
+  return {
+    origin: `hook:${options.trigger}`,
+    ...(payload?.session_id && {
+      session: { id: payload.session_id, transcriptPath: payload.transcript_path, start: sessionStart }
+    }),
+    force: sessionStart
+  };
+}
+
+// create() options shared by the tool triggers: session options plus payload targets,
+// targeted mode and the tool (and Bash command) that fired the hook
+async function buildCheckpointOptions(manager, config, options, payload) {
+  // Relative paths are relative to the session's cwd, which may be below the project root
+  const targets = extractHookTargets(payload?.tool_input).map(target => resolve(payload.cwd || process.cwd(), target));
+  const command = typeof payload?.tool_input?.command === 'string' ? payload.tool_input.command : undefined;
+  const sessionOptions = await buildSessionOptions(manager, options, payload);
+
+  return {
+    ...sessionOptions,
+    ...(payload && { targets }),
+    targeted: !sessionOptions.force && Boolean(options.targeted || config.targeted_checkpoints) && targets.length > 0,
+    ...(payload && { hook: { tool: options.tool, ...(command && { command }) } })
+  };
+}
+
+// 💬 The first hook event carrying a session id - SessionStart, UserPromptSubmit, PreToolUse or
+// PostToolUse - takes a forced full checkpoint, so `restore --session-start` covers everything
+// the session did, not just what came after its first hooked tool call. When that first
+// event is PostToolUse the tool already ran, so the checkpoint is marked late.
+async function ensureSessionStart(manager, config, options, projectDir, payload) {
+  if (!config.triggers?.session_start?.enabled) {
+    return;
+  }
+
+  try {
+    const checkpoints = await manager.getCheckpoints();
+    if (checkpoints.some(cp => cp.session?.id === payload.session_id)) {
+      return;
+    }
+
+    const late = payload.hook_event_name === 'PostToolUse' || Boolean(options.trigger?.startsWith('after_'));
+    const source = typeof payload.source === 'string' ? ` (${payload.source})` : '';
+    await manager.ensureDirectories();
+    const result = await manager.create(null, `Session start${source}`, true, {
+      origin: 'hook:session_start',
+      session: { id: payload.session_id, transcriptPath: payload.transcript_path, start: true, late }
+    });
+
+    if (result.success) {
+      await logHookAttempt(projectDir, `Created session start checkpoint: ${result.name}${late ? ' (late)' : ''}`);
+      if (options.debug) {
+        console.error(`[claudepoint-hook] Created session start checkpoint: ${result.name}`);
+      }
+    } else {
+      await logHookAttempt(projectDir, `Failed to create session start checkpoint: ${result.error}`, true);
+    }
+  } catch (error) {
+    if (options.debug) {
+      console.error('[claudepoint-hook] Error creating session start checkpoint:', error.message);
+    }
+  }
+}
+
+async function findProjectDirectory(startDir = process.cwd()) {
   // Strategy 1: Use env var if set
   if (process.env.CLAUDEPOINT_PROJECT_DIR) {
     return process.env.CLAUDEPOINT_PROJECT_DIR;
   }
   
-  // Strategy 2: Look for .claudepoint directory starting from cwd
-  let currentDir = process.cwd();
+  // Strategy 2: Look for .claudepoint directory starting from the session's cwd
+  let currentDir = startDir;
   const root = '/';
   
   while (currentDir !== root) {
@@ -70,14 +189,20 @@ async function findProjectDirectory() {
     currentDir = dirname(currentDir);
   }
   
-  // Strategy 3: Fallback to cwd
-  return process.cwd();
+  // Strategy 3: Fallback to the start directory
+  return startDir;
 }
 
 async function main() {
   try {
+    const payload = await readHookPayload();
+    // The payload knows the real tool name, e.g. when the matcher was "*"
+    if (payload?.tool_name && (!options.tool || options.tool === '*')) {
+      options.tool = payload.tool_name;
+    }
+
     // Get project directory with smart detection
-    const projectDir = await findProjectDirectory();
+    const projectDir = await findProjectDirectory(payload?.cwd || process.cwd());
     const manager = new CheckpointManager(projectDir);
     
     await logHookAttempt(projectDir, `Hook triggered: ${options.trigger} for tool ${options.tool}`);
@@ -86,6 +211,7 @@ async function main() {
       console.error(`[claudepoint-hook] Project dir: ${projectDir}`);
       console.error(`[claudepoint-hook] Trigger: ${options.trigger}`);
       console.error(`[claudepoint-hook] Tool: ${options.tool}`);
+      console.error(`[claudepoint-hook] Targets: ${extractHookTargets(payload?.tool_input).join(', ') || 'none'}`);
     }
 
     // Check if ClaudePoint is set up in this project
@@ -111,22 +237,39 @@ async function main() {
       return;
     }
 
+    // Whatever event comes first in a session takes its start checkpoint
+    if (payload?.session_id) {
+      await ensureSessionStart(manager, hooksConfig, options, projectDir, payload);
+    }
+
     // Handle different trigger types
     switch (options.trigger) {
       case 'before_bulk_edit':
-        await handleBeforeBulkEdit(manager, hooksConfig, options, projectDir);
+        await handleBeforeBulkEdit(manager, hooksConfig, options, projectDir, payload);
         break;
       
       case 'before_major_write':
-        await handleBeforeMajorWrite(manager, hooksConfig, options, projectDir);
+        await handleBeforeMajorWrite(manager, hooksConfig, options, projectDir, payload);
         break;
       
       case 'before_bash_commands':
-        await handleBeforeBashCommands(manager, hooksConfig, options, projectDir);
+        await handleBeforeBashCommands(manager, hooksConfig, options, projectDir, payload);
         break;
       
       case 'before_file_operations':
-        await handleBeforeFileOperations(manager, hooksConfig, options, projectDir);
+        await handleBeforeFileOperations(manager, hooksConfig, options, projectDir, payload);
+        break;
+
+      case 'after_edit_completion':
+        await handleAfterEditCompletion(manager, hooksConfig, options, projectDir, payload);
+        break;
+
+      case 'before_user_prompt':
+        await handleBeforeUserPrompt(manager, hooksConfig, options, projectDir, payload);
+        break;
+
+      case 'session_start':
+        // SessionStart only exists for ensureSessionStart() above
         break;
       
       default:
@@ -151,7 +294,7 @@ async function main() {
   }
 }
 
-async function handleBeforeBulkEdit(manager, config, options, projectDir) {
+async function handleBeforeBulkEdit(manager, config, options, projectDir, payload) {
   const trigger = config.triggers?.before_bulk_edit;
   
   if (!trigger?.enabled) {
@@ -168,10 +311,12 @@ async function handleBeforeBulkEdit(manager, config, options, projectDir) {
   try {
     await logHookAttempt(projectDir, `Creating safety checkpoint: ${description}`);
     await manager.ensureDirectories();
-    const result = await manager.create(null, description, false); // Don't force, respect anti-spam
+    const checkpointOptions = await buildCheckpointOptions(manager, config, options, payload);
+    // Don't force, respect anti-spam - except for the session start checkpoint
+    const result = await manager.create(null, description, checkpointOptions.force, checkpointOptions);
     
     if (result.success) {
-      await logHookAttempt(projectDir, `Successfully created checkpoint: ${result.name}`);
+      await logHookAttempt(projectDir, `Successfully created checkpoint: ${result.name}${result.targeted ? ` (targeted: ${result.targets.join(', ')})` : ''}`);
       if (options.debug) {
         console.error(`[claudepoint-hook] Created safety checkpoint: ${result.name}`);
       }
@@ -207,7 +352,7 @@ async function handleBeforeBulkEdit(manager, config, options, projectDir) {
   }
 }
 
-async function handleBeforeMajorWrite(manager, config, options, projectDir) {
+async function handleBeforeMajorWrite(manager, config, options, projectDir, payload) {
   const trigger = config.triggers?.before_major_write;
   
   if (!trigger?.enabled) {
@@ -215,10 +360,10 @@ async function handleBeforeMajorWrite(manager, config, options, projectDir) {
   }
 
   // Similar logic to bulk edit but for major file writes
-  await handleBeforeBulkEdit(manager, config, options);
+  await handleBeforeBulkEdit(manager, config, options, projectDir, payload);
 }
 
-async function handleBeforeBashCommands(manager, config, options, projectDir) {
+async function handleBeforeBashCommands(manager, config, options, projectDir, payload) {
   const trigger = config.triggers?.before_bash_commands;
   
   if (!trigger?.enabled) {
@@ -233,7 +378,9 @@ async function handleBeforeBashCommands(manager, config, options, projectDir) {
   
   try {
     await manager.ensureDirectories();
-    const result = await manager.create(null, description, false); // Don't force, respect anti-spam
+    const checkpointOptions = await buildCheckpointOptions(manager, config, options, payload);
+    // Don't force, respect anti-spam - except for the session start checkpoint
+    const result = await manager.create(null, description, checkpointOptions.force, checkpointOptions);
     
     if (result.success) {
       if (options.debug) {
@@ -260,7 +407,7 @@ async function handleBeforeBashCommands(manager, config, options, projectDir) {
   }
 }
 
-async function handleBeforeFileOperations(manager, config, options, projectDir) {
+async function handleBeforeFileOperations(manager, config, options, projectDir, payload) {
   const trigger = config.triggers?.before_file_operations;
   
   if (!trigger?.enabled) {
@@ -275,7 +422,9 @@ async function handleBeforeFileOperations(manager, config, options, projectDir)
   
   try {
     await manager.ensureDirectories();
-    const result = await manager.create(null, description, false); // Don't force, respect anti-spam
+    const checkpointOptions = await buildCheckpointOptions(manager, config, options, payload);
+    // Don't force, respect anti-spam - except for the session start checkpoint
+    const result = await manager.create(null, description, checkpointOptions.force, checkpointOptions);
     
     if (result.success) {
       if (options.debug) {
@@ -302,6 +451,112 @@ async function handleBeforeFileOperations(manager, config, options, projectDir)
   }
 }
 
+async function handleAfterEditCompletion(manager, config, options, projectDir, payload) {
+  const trigger = config.triggers?.after_edit_completion;
+
+  if (!trigger?.enabled) {
+    if (options.debug) {
+      console.error('[claudepoint-hook] after_edit_completion trigger disabled');
+    }
+    return;
+  }
+
+  try {
+    const targets = extractHookTargets(payload?.tool_input).map(target => resolve(payload?.cwd || process.cwd(), target));
+    const result = await manager.recordToolChange({
+      tool: options.tool,
+      input: payload?.tool_input,
+      targets,
+      sessionId: payload?.session_id,
+      toolUseId: payload?.tool_use_id
+    });
+
+    if (!result.success) {
+      await logHookAttempt(projectDir, `Failed to record tool change: ${result.error}`, true);
+      if (options.debug) {
+        console.error(`[claudepoint-hook] Failed to record tool change: ${result.error}`);
+      }
+      return;
+    }
+
+    if (!result.recorded) {
+      if (options.debug) {
+        console.error('[claudepoint-hook] Tool call changed nothing, no record');
+      }
+      return;
+    }
+
+    const { record } = result;
+    const summary = `+${record.added.length} ~${record.modified.length} -${record.deleted.length}`;
+    await logHookAttempt(projectDir, `Recorded ${record.tool} change ${record.id} (${summary}) after ${record.checkpoint || 'no checkpoint'}`);
+    if (options.debug) {
+      console.error(`[claudepoint-hook] Recorded change ${record.id}: ${summary}`);
+    }
+
+    if (config.auto_changelog) {
+      await manager.logToChangelog(
+        'TOOL_CHANGE',
+        `${record.tool} changed ${result.totalChanges} files: ${record.input}`,
+        `Change record ${record.id} // after claudepoint ${record.checkpoint || 'none'}`
+      );
+    }
+  } catch (error) {
+    if (options.debug) {
+      console.error('[claudepoint-hook] Error recording tool change:', error.message);
+    }
+  }
+}
+
+// UserPromptSubmit: checkpoint the tree before Claude starts answering, so "undo" can take back
+// a whole reply. Never writes to stdout - for this event Claude Code adds stdout to the prompt.
+async function handleBeforeUserPrompt(manager, config, options, projectDir, payload) {
+  const trigger = config.triggers?.before_user_prompt;
+
+  if (!trigger?.enabled) {
+    if (options.debug) {
+      console.error('[claudepoint-hook] before_user_prompt trigger disabled');
+    }
+    return;
+  }
+
+  // Only the redacted, truncated summary is stored - never the prompt itself
+  const description = manager.describePrompt(payload?.prompt);
+
+  try {
+    await manager.ensureDirectories();
+    // A prompt has no tool or target files - only the session is recorded
+    const checkpointOptions = await buildSessionOptions(manager, options, payload);
+    // Each prompt is its own undo unit, so the anti-spam window doesn't apply; unchanged trees still skip
+    const result = await manager.create(null, description, checkpointOptions.force, {
+      ...checkpointOptions,
+      skipCooldown: true
+    });
+
+    if (result.success) {
+      await logHookAttempt(projectDir, `Created prompt checkpoint: ${result.name}`);
+      if (options.debug) {
+        console.error(`[claudepoint-hook] Created prompt checkpoint: ${result.name}`);
+      }
+
+      if (config.auto_changelog) {
+        await manager.logToChangelog(
+          'PROMPT_CHECKPOINT',
+          `Created checkpoint before user prompt`,
+          `${description} // claudepoint ${result.name}`
+        );
+      }
+    } else if (result.noChanges) {
+      if (options.debug) {
+        console.error(`[claudepoint-hook] No changes since the last checkpoint, skipping`);
+      }
+    }
+  } catch (error) {
+    if (options.debug) {
+      console.error('[claudepoint-hook] Error creating checkpoint:', error.message);
+    }
+  }
+}
+
 main().catch(error => {
   if (options.debug) {
     console.error('Unhandled error in claudepoint-hook:', error);
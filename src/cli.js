@@ -18,6 +18,11 @@ const { promises: fsPromises } = fs;
 const require = createRequire(import.meta.url);
 const packageJson = require('../package.json');
 
+// Claude Code hook events ClaudePoint installs into
+const HOOK_EVENTS = ['PreToolUse', 'PostToolUse', 'UserPromptSubmit', 'SessionStart'];
+// Events without a tool - their hooks have no matcher
+const TOOLLESS_HOOK_EVENTS = { before_user_prompt: 'UserPromptSubmit', session_start: 'SessionStart' };
+
 // Progress bar animation function
 async function showProgressBar(message, steps) {
   const spinner = ora(message).start();
@@ -37,6 +42,46 @@ async function showProgressBar(message, steps) {
   return spinner;
 }
 
+// Summarize a merge restore: what came from the checkpoint, what local edits survived, what conflicts
+function printMergeSummary(result, dryRun = false) {
+  const verb = dryRun ? 'Would take' : 'Took';
+  console.log(chalk.blue(`   🔀 Merge base: ${result.base}`));
+  console.log(chalk.cyan(`   ${verb} ${result.filesToRestore.length} files from the claudepoint, ${result.filesToDelete.length} removed`));
+
+  if (result.merged.length > 0) {
+    console.log(chalk.green(`   ✅ Merged cleanly: ${result.merged.join(', ')}`));
+  }
+  if (result.kept.length > 0) {
+    console.log(chalk.gray(`   ✋ Local edits kept: ${result.kept.length} files`));
+  }
+  if (result.conflicts.length > 0) {
+    console.log(chalk.red(`   ⚔️  ${result.conflicts.length} conflicts${dryRun ? '' : ' // resolve the <<<<<<< markers'}:`));
+    result.conflicts.forEach(conflict => {
+      const detail = {
+        content: `${conflict.count} conflicting regions`,
+        binary: 'binary file changed on both sides - kept current version',
+        'deleted-locally': 'deleted locally, changed in claudepoint - restored claudepoint version',
+        'deleted-in-checkpoint': 'changed locally, missing from claudepoint - kept current version'
+      }[conflict.type];
+      console.log(chalk.red(`     ! ${conflict.file}`) + chalk.gray(` (${detail})`));
+    });
+  }
+}
+
+// Explain what state a failed restore left the project in
+function printRestoreFailure(result) {
+  if (!result.emergencyBackup) return;
+
+  if (!result.projectModified) {
+    console.log(chalk.green('   🛡️ Project untouched // Nothing was written before the failure'));
+  } else if (result.rolledBack) {
+    console.log(chalk.green(`   🛡️ Rolled back to emergency backup: ${result.emergencyBackup}`));
+  } else {
+    console.log(chalk.red(`   ⚠️ Rollback failed: ${result.rollbackError}`));
+    console.log(chalk.yellow(`   💡 Recover manually: claudepoint restore ${result.emergencyBackup}`));
+  }
+}
+
 // Configure MCP server based on scope
 async function configureMCPServer(scope = 'project') {
   try {
@@ -173,27 +218,41 @@ async function configureHooks(scope = 'project', triggers = ['before_bulk_edit']
       settings.hooks = {};
     }
 
-    if (!Array.isArray(settings.hooks.PreToolUse)) {
-      settings.hooks.PreToolUse = [];
-    }
+    for (const event of HOOK_EVENTS) {
+      if (!Array.isArray(settings.hooks[event])) {
+        settings.hooks[event] = [];
+      }
 
-    // Remove existing claudepoint hooks
-    settings.hooks.PreToolUse = settings.hooks.PreToolUse.filter(hook =>
-      !hook.hooks || !hook.hooks.some(h => h.command && h.command.includes('claudepoint-hook'))
-    );
+      // Remove existing claudepoint hooks
+      settings.hooks[event] = settings.hooks[event].filter(hook =>
+        !hook.hooks || !hook.hooks.some(h => h.command && h.command.includes('claudepoint-hook'))
+      );
+    }
 
     // Add hooks for specified triggers
     const toolMap = {
       'before_bulk_edit': ['MultiEdit'],
       'before_major_write': ['Write'],
       'before_bash_commands': ['Bash'],
-      'before_file_operations': ['*']
+      'before_file_operations': ['*'],
+      'after_edit_completion': ['Edit', 'MultiEdit', 'Write', 'Bash']
     };
 
     triggers.forEach(trigger => {
+      if (TOOLLESS_HOOK_EVENTS[trigger]) {
+        settings.hooks[TOOLLESS_HOOK_EVENTS[trigger]].push({
+          hooks: [{
+            type: 'command',
+            command: `claudepoint-hook --trigger ${trigger}`
+          }]
+        });
+        return;
+      }
+
       const tools = toolMap[trigger] || [];
+      const event = trigger.startsWith('after_') ? 'PostToolUse' : 'PreToolUse';
       tools.forEach(tool => {
-        settings.hooks.PreToolUse.push({
+        settings.hooks[event].push({
           matcher: tool,
           hooks: [{
             type: 'command',
@@ -203,6 +262,12 @@ async function configureHooks(scope = 'project', triggers = ['before_bulk_edit']
       });
     });
 
+    for (const event of ['PostToolUse', 'UserPromptSubmit', 'SessionStart']) {
+      if (settings.hooks[event].length === 0) {
+        delete settings.hooks[event];
+      }
+    }
+
     await fsPromises.mkdir(path.dirname(settingsPath), { recursive: true });
     await fsPromises.writeFile(settingsPath, JSON.stringify(settings, null, 2));
 
@@ -279,6 +344,15 @@ program
   .name('claudepoint')
   .description('🚀 The ultimate hacking companion for Claude Code // Break things beautifully')
   .version(packageJson.version)
+  .addHelpText('after', `
+Checkpoint references (restore, diff, pin, verify, ...):
+  stable_2025-01-15T10-30-00   Full name
+  stable                       Partial name - must match a single claudepoint
+  3                            Number shown by \`claudepoint list\` (1 = newest)
+  @~2                          Two before the newest (stable~1 = the one before stable)
+  @{10 minutes ago}            Newest at or before a time (also 2025-01-15T10:30)
+  release-1.0                  Tag
+`)
   .action(async (options, command) => {
     // Default action when no command is specified - create a claudepoint!
     if (command.args.length === 0) {
@@ -429,7 +503,10 @@ program
               { name: 'Before bulk edits (MultiEdit)', value: 'before_bulk_edit', checked: true },
               { name: 'Before file writes (Write)', value: 'before_major_write', checked: false },
               { name: 'Before bash commands', value: 'before_bash_commands', checked: false },
-              { name: 'Before any file changes', value: 'before_file_operations', checked: false }
+              { name: 'Before any file changes', value: 'before_file_operations', checked: false },
+              { name: 'After each edit or command - record what it changed', value: 'after_edit_completion', checked: false },
+              { name: 'Before each prompt you send - undo a whole reply at once', value: 'before_user_prompt', checked: false },
+              { name: 'When a session starts - for restore --session-start', value: 'session_start', checked: true }
             ]
           }]);
 
@@ -604,6 +681,9 @@ program
   .description('💾 Deploy a new claudepoint // Lock in your digital DNA')
   .option('-n, --name <n>', 'Custom checkpoint name')
   .option('-d, --description <description>', 'Checkpoint description')
+  .option('--full', 'Force a FULL checkpoint instead of an incremental one')
+  .option('-t, --tag <tags...>', 'Tag the checkpoint (repeat or comma-separate for several)')
+  .option('--note <text>', 'Attach free-form notes')
   .option('--debug', 'Show debug information about file discovery')
   .action(async (options) => {
     const spinner = ora('💾 Deploying claudepoint...').start();
@@ -625,14 +705,25 @@ program
         spinner.start('Creating checkpoint...');
       }
 
-      const result = await manager.create(options.name, options.description);
+      const result = await manager.create(options.name, options.description, false, {
+        full: options.full,
+        tags: options.tag,
+        notes: options.note
+      });
 
       if (result.success) {
         spinner.succeed(manager.getRandomMessage(manager.successMessages));
         console.log(chalk.cyan(`   Name: ${result.name} ${chalk.green('[DEPLOYED]')}`));
+        console.log(chalk.gray(`   Type: ${result.type}`));
         console.log(chalk.gray(`   Files: ${result.fileCount}`));
         console.log(chalk.gray(`   Size: ${result.size}`));
         console.log(chalk.gray(`   Description: ${result.description}`));
+        if (result.tags?.length > 0) {
+          console.log(chalk.magenta(`   🔖 Tags: ${result.tags.join(', ')}`));
+        }
+        if (result.warning) {
+          console.log(chalk.yellow(`   ⚠️  ${result.warning}`));
+        }
       } else if (result.noChanges) {
         spinner.info(chalk.yellow('🤔 No changes detected since last claudepoint // Codebase is stable'));
         console.log('Make some changes and redeploy when ready');
@@ -663,10 +754,14 @@ program
         console.log(chalk.green(`   🛡️ Emergency backup: ${result.emergencyBackup}`));
         console.log(chalk.cyan(`   🔄 Restored: ${result.restored}`));
         console.log(chalk.gray(`   📅 Back to the future: ${result.type || 'FULL'} claudepoint`));
+        console.log(chalk.gray('   ↪️ Changed your mind? claudepoint redo'));
       } else if (result.noClaudepoints) {
         spinner.info(chalk.yellow('🤔 No claudepoints found to undo. Time to create your first safety net!'));
+      } else if (result.noOlderClaudepoints) {
+        spinner.info(chalk.yellow(result.error));
       } else {
         spinner.fail(`🚨 Time hack failed: ${result.error}`);
+        printRestoreFailure(result);
         process.exit(1);
       }
     } catch (error) {
@@ -676,10 +771,45 @@ program
     }
   });
 
+// ↪️ Undo the last undo/restore
+program
+  .command('redo')
+  .description('↪️ Reverse the last restore or undo // Back to exactly where you were')
+  .action(async () => {
+    const spinner = ora('🕰️ Reversing the time hack...').start();
+
+    try {
+      const manager = new CheckpointManager();
+      const result = await manager.redoLastRestore();
+
+      if (result.success) {
+        spinner.succeed(`↪️ REDO COMPLETE // Reverted ${result.reverted.action} of ${result.reverted.restored}`);
+        console.log(chalk.green(`   🛡️ Emergency backup: ${result.emergencyBackup}`));
+        console.log(chalk.cyan(`   🔄 Back to: ${result.reverted.emergencyBackup}`));
+        if (result.remaining > 0) {
+          console.log(chalk.gray(`   ↪️ ${result.remaining} more step${result.remaining === 1 ? '' : 's'} to redo`));
+        }
+      } else if (result.nothingToRedo) {
+        spinner.info(chalk.yellow(result.error));
+      } else {
+        spinner.fail(`🚨 Redo failed: ${result.error}`);
+        printRestoreFailure(result);
+        process.exit(1);
+      }
+    } catch (error) {
+      spinner.fail('🚨 Error during redo');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('list')
   .description('🗂️ Browse your claudepoint vault // Digital artifact collection')
   .option('--show-chain', 'Show checkpoint chain information')
+  .option('--origin <origin>', 'Only show claudepoints from an origin: manual, mcp, setup, emergency, hook or hook:<trigger>')
+  .option('--tag <tag>', 'Only show claudepoints with this tag')
+  .option('--session <session>', 'Only show claudepoints from a Claude Code session (id or prefix)')
   .action(async (options) => {
     try {
       const manager = new CheckpointManager();
@@ -694,8 +824,38 @@ program
       console.log(chalk.blue(manager.getRandomMessage(manager.listMessages)));
       console.log(chalk.blue(`📦 Total claudepoints: ${checkpoints.length}`));
 
+      // Filtered entries keep their position in the full list
+      const visible = checkpoints.filter(cp =>
+        (!options.origin || manager.matchesOrigin(cp, options.origin)) &&
+        (!options.tag || cp.tags?.includes(options.tag)) &&
+        (!options.session || cp.session?.id.startsWith(options.session))
+      );
+      if (options.origin) {
+        console.log(chalk.blue(`🏷️  Origin ${options.origin}: ${visible.length} claudepoints`));
+      }
+      if (options.tag) {
+        console.log(chalk.blue(`🔖 Tag ${options.tag}: ${visible.length} claudepoints`));
+      }
+      if (options.session) {
+        console.log(chalk.blue(`💬 Session ${options.session}: ${visible.length} claudepoints`));
+      }
+
+      // Depth of each incremental checkpoint in its chain (FULL base = 0)
+      const checkpointMap = new Map(checkpoints.map(cp => [cp.name, cp]));
+      const chainDepth = (cp) => {
+        let depth = 0;
+        let current = cp;
+        while (current?.type === 'INCREMENTAL' && current.baseCheckpoint) {
+          depth++;
+          current = checkpointMap.get(current.baseCheckpoint);
+        }
+        return depth;
+      };
+
       for (let index = 0; index < checkpoints.length; index++) {
         const cp = checkpoints[index];
+        if (!visible.includes(cp)) continue;
+
         const typeLabel = cp.type === 'FULL' ? chalk.green('[FULL]') :
           cp.type === 'INCREMENTAL' ? chalk.yellow('[INC]') :
             chalk.gray('[LEGACY]');
@@ -710,17 +870,33 @@ program
           prefix = '  ';
         }
 
-        console.log(`${prefix}${chalk.cyan((index + 1) + '.')} ${chalk.bold(cp.name)} ${typeLabel}`);
+        const pinLabel = cp.pinned ? ` ${chalk.magenta('📌 PINNED')}` : '';
+        console.log(`${prefix}${chalk.cyan((index + 1) + '.')} ${chalk.bold(cp.name)} ${typeLabel}${pinLabel}`);
         console.log(`${prefix}   ${cp.description}`);
 
-        let details = `${new Date(cp.timestamp).toLocaleString()} | ${cp.fileCount} files | ${manager.formatSize(cp.totalSize)}`;
+        let details = `${new Date(cp.timestamp).toLocaleString()} | ${cp.fileCount} files | ${manager.formatSize(cp.totalSize)} | ${manager.getCheckpointOrigin(cp)}`;
         if (cp.type === 'INCREMENTAL' && cp.statistics) {
           details += ` | ${cp.statistics.filesChanged} changes`;
         }
         console.log(`${prefix}   ${details}`);
 
+        if (cp.tags?.length > 0) {
+          console.log(`${prefix}   ${chalk.magenta(`🔖 ${cp.tags.join(', ')}`)}`);
+        }
+        if (cp.notes) {
+          const [firstLine, ...rest] = cp.notes.split('\n');
+          console.log(`${prefix}   ${chalk.gray(`🗒️  ${firstLine}${rest.length > 0 ? ' …' : ''}`)}`);
+        }
+        if (cp.session) {
+          console.log(`${prefix}   ${chalk.gray(`💬 session ${cp.session.id.slice(0, 8)}${cp.session.start ? ' (session start)' : ''}`)}`);
+        }
+        if (cp.targets?.length > 0) {
+          const shown = cp.targets.slice(0, 3).join(', ') + (cp.targets.length > 3 ? ` +${cp.targets.length - 3} more` : '');
+          console.log(`${prefix}   ${chalk.gray(`🎯 ${cp.hook?.tool ? `${cp.hook.tool} → ` : ''}${shown}${cp.scope ? ' (targeted)' : ''}`)}`);
+        }
+
         if (options.showChain && cp.baseCheckpoint) {
-          console.log(`${prefix}   ${chalk.gray('↳ based on:')} ${cp.baseCheckpoint}`);
+          console.log(`${prefix}   ${chalk.gray('↳ based on:')} ${cp.baseCheckpoint} ${chalk.gray(`(chain depth ${chainDepth(cp)})`)}`);
         }
 
         console.log();
@@ -735,6 +911,373 @@ program
     }
   });
 
+// 📌 NEW: Pin/unpin commands - protect known-good checkpoints from cleanup
+program
+  .command('pin <checkpoint>')
+  .description('📌 Pin a claudepoint // Protect it from automatic cleanup')
+  .action(async (checkpoint) => {
+    try {
+      const manager = new CheckpointManager();
+      const result = await manager.setPinned(checkpoint, true);
+
+      if (!result.success) {
+        console.error(chalk.red('❌ Pin failed:'), result.error);
+        process.exit(1);
+      }
+
+      if (result.changed) {
+        console.log(chalk.green(`📌 Pinned: ${result.name}`));
+        console.log(chalk.gray('   Cleanup will never delete this claudepoint'));
+      } else {
+        console.log(chalk.yellow(`📌 Already pinned: ${result.name}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Pin failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('unpin <checkpoint>')
+  .description('📍 Unpin a claudepoint // Let cleanup manage it again')
+  .action(async (checkpoint) => {
+    try {
+      const manager = new CheckpointManager();
+      const result = await manager.setPinned(checkpoint, false);
+
+      if (!result.success) {
+        console.error(chalk.red('❌ Unpin failed:'), result.error);
+        process.exit(1);
+      }
+
+      if (result.changed) {
+        console.log(chalk.green(`📍 Unpinned: ${result.name}`));
+        console.log(chalk.gray('   Subject to maxAge/maxCheckpoints cleanup again'));
+      } else {
+        console.log(chalk.yellow(`📍 Not pinned: ${result.name}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Unpin failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// 🔖 NEW: Tag management
+program
+  .command('tag <checkpoint> [tags...]')
+  .description('🔖 Tag a claudepoint // Tags work anywhere a claudepoint name does')
+  .option('-d, --delete', 'Remove the given tags instead of adding them')
+  .action(async (checkpoint, tags, options) => {
+    try {
+      const manager = new CheckpointManager();
+
+      if (tags.length === 0) {
+        const target = await manager.resolveCheckpoint(checkpoint);
+        console.log(chalk.cyan(`🔖 ${target.name}: ${target.tags?.length ? target.tags.join(', ') : chalk.gray('no tags')}`));
+        return;
+      }
+
+      const result = options.delete
+        ? await manager.updateTags(checkpoint, { remove: tags })
+        : await manager.updateTags(checkpoint, { add: tags });
+
+      if (!result.success) {
+        console.error(chalk.red('❌ Tag failed:'), result.error);
+        process.exit(1);
+      }
+
+      if (result.added.length === 0 && result.removed.length === 0) {
+        console.log(chalk.yellow(`🤔 Nothing changed // ${result.name}: ${result.tags.join(', ') || 'no tags'}`));
+        return;
+      }
+
+      console.log(chalk.green(`🔖 TAGS UPDATED // ${result.name}`));
+      result.added.forEach(tag => console.log(chalk.green(`   + ${tag}`)));
+      result.removed.forEach(tag => console.log(chalk.red(`   - ${tag}`)));
+      if (result.shared.length > 0) {
+        console.log(chalk.yellow(`   ⚠️  Also on other claudepoints: ${result.shared.join(', ')} - using it as a reference will be ambiguous`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Tag failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// 🗒️ NEW: Notes
+program
+  .command('note <checkpoint> [text...]')
+  .description('🗒️ Show or edit the notes of a claudepoint')
+  .option('-a, --append', 'Append a line instead of replacing the notes')
+  .option('--clear', 'Remove the notes')
+  .action(async (checkpoint, text, options) => {
+    try {
+      const manager = new CheckpointManager();
+
+      if (text.length === 0 && !options.clear) {
+        const target = await manager.resolveCheckpoint(checkpoint);
+        console.log(chalk.cyan(`🗒️  ${target.name}`));
+        console.log(target.notes || chalk.gray('   (no notes)'));
+        return;
+      }
+
+      const result = await manager.setNotes(checkpoint, options.clear ? '' : text.join(' '), { append: options.append });
+
+      if (!result.success) {
+        console.error(chalk.red('❌ Note failed:'), result.error);
+        process.exit(1);
+      }
+
+      console.log(chalk.green(`🗒️  NOTES ${result.notes ? 'SAVED' : 'CLEARED'} // ${result.name}`));
+      if (result.notes) {
+        console.log(chalk.gray(result.notes));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Note failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// 🧹 NEW: Prune command - run cleanup on demand, or preview it
+program
+  .command('prune')
+  .description('🧹 Apply retention rules now // Remove claudepoints cleanup would delete')
+  .option('--dry-run', 'Show what would be removed without deleting anything')
+  .action(async (options) => {
+    try {
+      const manager = new CheckpointManager();
+      const config = await manager.loadConfig();
+      const result = await manager.cleanupOldCheckpoints({ dryRun: options.dryRun });
+
+      const policy = config.retention.enabled
+        ? `tiered retention (all for ${config.retention.keepAllMinutes}m, ${config.retention.hourly} hourly, ${config.retention.daily} daily, ${config.retention.weekly} weekly)`
+        : `maxCheckpoints ${config.maxCheckpoints}, maxAge ${config.maxAge} days`;
+      console.log(chalk.blue(`🧹 Policy: ${policy}`));
+
+      if (result.removed.length === 0) {
+        console.log(chalk.green(`✨ Nothing to prune - keeping all ${result.kept} claudepoints`));
+        return;
+      }
+
+      const verb = options.dryRun ? 'Would remove' : 'Removed';
+      console.log(chalk.yellow(`\n🗑️  ${verb} ${result.removed.length} claudepoints:`));
+      for (const { checkpoint, reason } of result.removed) {
+        console.log(`   ${chalk.red('-')} ${checkpoint.name} ${chalk.gray(`(${new Date(checkpoint.timestamp).toLocaleString()}, ${reason})`)}`);
+      }
+      console.log(chalk.green(`\n🛡️ Keeping ${result.kept} claudepoints`));
+
+      if (options.dryRun) {
+        console.log(chalk.gray('💡 Run without --dry-run to delete them'));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Prune failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// 🩺 NEW: Verify command - integrity check of the vault
+program
+  .command('verify [checkpoint]')
+  .description('🩺 Verify claudepoint integrity // Re-hash stored files, find broken archives and chains')
+  .option('--quarantine', 'Move damaged claudepoints and objects to .claudepoint/quarantine')
+  .action(async (checkpoint, options) => {
+    const spinner = ora('🩺 Verifying claudepoint vault...').start();
+
+    try {
+      const manager = new CheckpointManager();
+      const result = await manager.verifyCheckpoints(checkpoint, { quarantine: options.quarantine });
+
+      if (!result.success) {
+        spinner.fail(`🚨 Verify failed: ${result.error}`);
+        process.exit(1);
+      }
+
+      if (result.ok) {
+        spinner.succeed(`✅ All ${result.checked} claudepoints verified // Vault integrity confirmed`);
+        return;
+      }
+
+      spinner.fail(`🚨 Found ${result.problems.length} problems in the vault`);
+      console.log(chalk.green(`   ✅ Healthy: ${result.healthy.length}/${result.checked}`));
+
+      const byCheckpoint = new Map();
+      for (const problem of result.problems) {
+        if (!byCheckpoint.has(problem.checkpoint)) {
+          byCheckpoint.set(problem.checkpoint, []);
+        }
+        byCheckpoint.get(problem.checkpoint).push(problem);
+      }
+
+      for (const [name, problems] of byCheckpoint) {
+        console.log(chalk.red(`\n💥 ${name}`));
+        problems.slice(0, 10).forEach(problem => {
+          console.log(chalk.yellow(`   • [${problem.type}] ${problem.message}`));
+        });
+        if (problems.length > 10) {
+          console.log(chalk.gray(`   ... and ${problems.length - 10} more`));
+        }
+      }
+
+      if (result.quarantined.length > 0) {
+        console.log(chalk.blue(`\n🧪 Quarantined ${result.quarantined.length} entries in .claudepoint/quarantine`));
+      } else {
+        console.log(chalk.blue('\n💡 Run with --quarantine to move damaged entries out of the vault'));
+      }
+
+      process.exit(1);
+    } catch (error) {
+      spinner.fail('🚨 Verify failed');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// 🔎 NEW: Search stored snapshots for code that has since disappeared
+program
+  .command('search <regex>')
+  .description('🔎 Search every claudepoint for a regex // Find code that got lost along the way')
+  .option('--file <patterns...>', 'Only search files matching these paths or glob patterns (e.g. "src/**/*.js")')
+  .option('-c, --checkpoint <checkpoint>', 'Only search one claudepoint')
+  .option('-i, --ignore-case', 'Case-insensitive match')
+  .option('--max <n>', 'Stop after this many matching lines', '200')
+  .action(async (regex, options) => {
+    const spinner = ora('🔎 Scanning the vault...').start();
+
+    try {
+      const manager = new CheckpointManager();
+      const result = await manager.searchCheckpoints(regex, {
+        file: options.file,
+        checkpoint: options.checkpoint,
+        ignoreCase: options.ignoreCase,
+        maxMatches: parseInt(options.max, 10) || 200
+      });
+
+      if (!result.success) {
+        spinner.fail(`🚨 Search failed: ${result.error}`);
+        process.exit(1);
+      }
+
+      if (result.results.length === 0) {
+        spinner.info(chalk.yellow(`🤔 No matches for /${regex}/ in ${result.checkpointsSearched} claudepoints`));
+        return;
+      }
+
+      spinner.succeed(`🎯 ${result.matchCount} matching lines in ${result.results.length} file versions across ${result.checkpointsSearched} claudepoints`);
+
+      for (const entry of result.results) {
+        const [newest, ...older] = entry.checkpoints;
+        const olderLabel = older.length > 0 ? chalk.gray(` (+${older.length} older, oldest ${older[older.length - 1]})`) : '';
+        console.log(`\n${chalk.bold(`📄 ${entry.file}`)} ${chalk.cyan(`@ ${newest}`)}${olderLabel}`);
+        entry.matches.forEach(match => {
+          console.log(`   ${chalk.yellow(String(match.line).padStart(5))}: ${match.text.trim()}`);
+        });
+      }
+
+      if (result.truncated) {
+        console.log(chalk.yellow(`\n⚠️  Stopped after ${result.matchCount} matching lines - narrow it with --file or raise --max`));
+      }
+      if (result.unreadable > 0) {
+        console.log(chalk.yellow(`⚠️  ${result.unreadable} stored files could not be read - run claudepoint verify`));
+      }
+
+      const [first] = result.results;
+      console.log(chalk.gray(`\n💡 Bring a file back: claudepoint restore ${first.checkpoints[0]} --only ${first.file}`));
+    } catch (error) {
+      spinner.fail('🚨 Error during search');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// 📜 NEW: History command - how one file evolved across claudepoints
+program
+  .command('history <file>')
+  .description('📜 Show every claudepoint where a file was added, changed or deleted')
+  .action(async (file) => {
+    try {
+      const manager = new CheckpointManager();
+      const result = await manager.getFileHistory(file);
+
+      if (!result.success) {
+        console.error(chalk.red(`❌ History failed: ${result.error}`));
+        process.exit(1);
+      }
+
+      if (result.events.length === 0) {
+        console.log(chalk.yellow(`🤔 ${result.file} is not in any claudepoint`));
+        return;
+      }
+
+      console.log(chalk.blue(`📜 ${result.file} // ${result.events.length} changes, ${result.versions} stored versions\n`));
+
+      const statusLabels = {
+        added: chalk.green('+ added   '),
+        modified: chalk.yellow('~ modified'),
+        deleted: chalk.red('- deleted ')
+      };
+      const currentLabels = {
+        unchanged: chalk.green('matches the latest claudepoint'),
+        modified: chalk.yellow('modified since the latest claudepoint'),
+        added: chalk.green('re-created since it was deleted'),
+        deleted: chalk.red('deleted since the latest claudepoint'),
+        absent: chalk.gray('not present')
+      };
+      console.log(`  ${chalk.bold('working tree')}  ${currentLabels[result.current]}`);
+
+      result.events.forEach(event => {
+        const stats = event.additions !== undefined
+          ? chalk.gray(` (${chalk.green(`+${event.additions}`)} ${chalk.red(`-${event.deletions}`)})`)
+          : '';
+        const date = new Date(event.timestamp).toLocaleString();
+        const origin = event.origin !== 'manual' ? chalk.gray(` [${event.origin}]`) : '';
+        console.log(`  ${statusLabels[event.status]}  ${chalk.cyan(event.checkpoint)}${origin}${stats}`);
+        console.log(chalk.gray(`              ${date} - ${event.description}`));
+      });
+
+      const latest = result.events.find(event => event.status !== 'deleted');
+      if (latest) {
+        console.log(chalk.gray(`\n💡 Print a version: claudepoint show ${latest.checkpoint}:${result.file}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Error reading file history:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// 📄 NEW: Cat command - print a file exactly as a claudepoint stored it, for piping
+program
+  .command('cat <checkpoint> [file]')
+  .alias('show')
+  .description('📄 Print a file from a claudepoint (cat v2.0 src/app.js, or show @~1:src/app.js)')
+  .option('--max-bytes <n>', 'Print at most this many bytes')
+  .option('--binary', 'Write binary files even when stdout is a terminal')
+  .action(async (checkpoint, file, options) => {
+    try {
+      const manager = new CheckpointManager();
+      const result = await manager.readCheckpointFile(checkpoint, file, {
+        maxBytes: parseInt(options.maxBytes, 10) || 0
+      });
+
+      if (!result.success) {
+        console.error(chalk.red(`❌ ${result.error}`));
+        process.exit(1);
+      }
+
+      if (result.binary && process.stdout.isTTY && !options.binary) {
+        console.error(chalk.yellow(`⚠️  ${result.file} is binary (${manager.formatSize(result.size)}) - redirect it to a file or pass --binary`));
+        process.exit(1);
+      }
+
+      process.stdout.write(result.content);
+
+      if (result.truncated) {
+        console.error(chalk.yellow(`\n✂️  Truncated: printed ${result.content.length} of ${result.size} bytes`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
 // 🎯 NEW: Changes command - see what's different since last claudepoint
 program
   .command('changes')
@@ -826,6 +1369,11 @@ program
       console.log(chalk.cyan(`   Max Claudepoints: ${status.maxClaudepoints}`));
       console.log(chalk.cyan(`   Current Claudepoints: ${status.currentClaudepoints}`));
       console.log(chalk.cyan(`   Max Age: ${status.maxAge} days ${status.maxAge === 0 ? '(unlimited)' : ''}`));
+      console.log(chalk.cyan(`   Vault Usage: ${manager.formatSize(status.vaultBytes)} in ${status.vaultObjects} objects${status.maxStorageBytes > 0 ? ` of ${manager.formatSize(status.maxStorageBytes)}` : ''}`));
+      console.log(chalk.cyan(`   Max Snapshot Size: ${status.maxCheckpointBytes > 0 ? manager.formatSize(status.maxCheckpointBytes) : 'unlimited'}`));
+      status.originPools.forEach(pool => {
+        console.log(chalk.cyan(`   Pool ${pool.origin}: ${pool.maxCheckpoints} claudepoints, ${pool.maxAge === 0 ? 'no age limit' : `${pool.maxAge} days`}`));
+      });
       console.log(chalk.cyan(`   Ignore Patterns: ${status.ignorePatterns} rules`));
       console.log(chalk.cyan(`   Auto Naming: ${status.autoName ? 'Enabled' : 'Disabled'}`));
       console.log(chalk.gray(`   Config File: ${status.configPath}`));
@@ -857,15 +1405,46 @@ program
   });
 
 program
-  .command('restore <checkpoint>')
+  .command('restore [checkpoint]')
   .description('🔄 Time travel to a specific claudepoint // Precision restoration')
   .option('--dry-run', 'Show what would happen without making changes')
+  .option('--session-start <session>', 'Roll back everything a Claude Code session did (session id or prefix, see claudepoint sessions)')
+  .option('--only <patterns...>', 'Only restore files matching these paths or glob patterns (e.g. "src/auth/**")')
+  .option('--merge', 'Three-way merge: keep edits made since the merge base, write conflict markers where both changed')
+  .option('--base <checkpoint>', 'Merge base for --merge (default: the newest full claudepoint)')
   .action(async (checkpoint, options) => {
     try {
       const manager = new CheckpointManager();
+      const restoreOptions = { only: options.only, merge: options.merge || Boolean(options.base), base: options.base };
+
+      if (!checkpoint && !options.sessionStart) {
+        console.log(chalk.red('❌ Name a claudepoint to restore, or pass --session-start <session>'));
+        process.exit(1);
+      }
+      if (checkpoint && options.sessionStart) {
+        console.log(chalk.red('❌ Pass either a claudepoint or --session-start, not both'));
+        process.exit(1);
+      }
+
+      // 💬 The checkpoint from just before the session touched anything
+      if (options.sessionStart) {
+        try {
+          const start = await manager.getSessionStart(options.sessionStart);
+          checkpoint = start.checkpoint.name;
+          console.log(chalk.blue(`💬 Session ${start.session.id} started at ${checkpoint}`));
+          if (start.late) {
+            console.log(chalk.yellow('⚠️  The session start checkpoint was taken after its first tool call ran - that call\'s changes are not undone'));
+          } else if (!start.exact) {
+            console.log(chalk.yellow('⚠️  No session start checkpoint was recorded - using the newest full claudepoint before the session\'s first one'));
+          }
+        } catch (error) {
+          console.log(chalk.red(`❌ ${error.message}`));
+          process.exit(1);
+        }
+      }
 
       if (options.dryRun) {
-        const result = await manager.restore(checkpoint, true);
+        const result = await manager.restore(checkpoint, true, restoreOptions);
 
         if (!result.success) {
           console.log(chalk.red(`❌ ${result.error}`));
@@ -895,23 +1474,49 @@ program
           console.log(chalk.yellow(`   Chain Length: ${result.chainLength} checkpoints (includes incremental history)`));
         }
 
-        const currentFiles = await manager.getProjectFiles();
-        const filesToDelete = currentFiles.filter(f => !targetCheckpoint.files.includes(f));
-        if (filesToDelete.length > 0) {
-          console.log(chalk.yellow(`   Would delete ${filesToDelete.length} files that didn't exist in checkpoint`));
+        if (result.restoreStrategy === 'merge') {
+          printMergeSummary(result, true);
+          console.log('\nUse restore without --dry-run to proceed.');
+          return;
+        }
+
+        if (result.restoreStrategy === 'selective') {
+          console.log(`   Would restore ${result.filesToRestore.length} matching files:`);
+          result.filesToRestore.slice(0, 10).forEach(file => console.log(chalk.cyan(`     ~ ${file}`)));
+          if (result.filesToRestore.length > 10) {
+            console.log(chalk.gray(`     ... and ${result.filesToRestore.length - 10} more`));
+          }
+        }
+
+        if (result.filesToDelete.length > 0) {
+          console.log(chalk.yellow(`   Would delete ${result.filesToDelete.length} files that didn't exist in checkpoint`));
         }
 
         console.log('\nUse restore without --dry-run to proceed.');
         return;
       }
 
+      // Pin the reference down before asking - @~1 or @{...} must not drift while the prompt waits
+      let target;
+      try {
+        target = await manager.resolveCheckpoint(checkpoint);
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+      }
+      checkpoint = target.name;
+
       // Create emergency backup and confirm
       console.log(chalk.blue('🔒 Emergency backup protocol initiated...'));
 
       const { confirm } = await inquirer.prompt([{
         type: 'confirm',
         name: 'confirm',
-        message: `🔄 Restore claudepoint '${checkpoint}'? This will modify your codebase.`,
+        message: restoreOptions.merge
+          ? `🔀 Merge claudepoint '${checkpoint}' into your current files? Conflicts get markers.`
+          : options.only
+            ? `🔄 Restore files matching ${options.only.join(', ')} from '${checkpoint}'? Other files are left untouched.`
+            : `🔄 Restore claudepoint '${checkpoint}'? This will modify your codebase.`,
         default: false
       }]);
 
@@ -921,7 +1526,7 @@ program
       }
 
       const spinner = ora('🔄 Initiating time travel sequence...').start();
-      const result = await manager.restore(checkpoint, false);
+      const result = await manager.restore(checkpoint, false, restoreOptions);
 
       if (result.success) {
         const typeLabel = result.type === 'FULL' ? '[FULL]' :
@@ -929,12 +1534,18 @@ program
         spinner.succeed(manager.getRandomMessage(manager.undoMessages));
         console.log(chalk.green(`   🔒 Emergency backup: ${result.emergencyBackup}`));
         console.log(chalk.cyan(`   🔄 Restored: ${result.restored} ${typeLabel}`));
+        if (result.merge) {
+          printMergeSummary(result);
+        } else if (result.selective) {
+          console.log(chalk.cyan(`   🎯 Selective: ${result.filesToRestore.length} files restored, ${result.filesToDelete.length} removed`));
+        }
         if (result.type === 'INCREMENTAL') {
           console.log(chalk.yellow(`   ⚡ Used incremental chain reconstruction`));
         }
         console.log(chalk.blue('   🎆 Welcome back to the past! Time travel complete.'));
       } else {
         spinner.fail(`🚨 Time travel failed: ${result.error}`);
+        printRestoreFailure(result);
         process.exit(1);
       }
     } catch (error) {
@@ -943,6 +1554,183 @@ program
     }
   });
 
+// 📂 NEW: Checkout command - a checkpoint in its own directory, next to the working tree
+program
+  .command('checkout <checkpoint>')
+  .description('📂 Write a claudepoint into another directory // Inspect or run an old version side by side')
+  .requiredOption('--to <dir>', 'Directory to write the files into (created if missing)')
+  .option('--only <patterns...>', 'Only check out files matching these paths or glob patterns')
+  .option('-f, --force', 'Write into a directory that is not empty (files there are overwritten, nothing is deleted)')
+  .action(async (checkpoint, options) => {
+    const spinner = ora(`📂 Checking out ${checkpoint}...`).start();
+
+    try {
+      const manager = new CheckpointManager();
+      const result = await manager.checkout(checkpoint, options.to, {
+        only: options.only,
+        force: options.force
+      });
+
+      if (!result.success) {
+        spinner.fail(`🚨 Checkout failed: ${result.error}`);
+        process.exit(1);
+      }
+
+      spinner.succeed(`🎉 Checked out ${result.name}`);
+      console.log(chalk.cyan(`   📁 ${result.targetDir}`));
+      console.log(chalk.cyan(`   📄 ${result.fileCount} files`));
+      console.log(chalk.gray('   Your working tree was not touched'));
+      if (result.insideProject) {
+        console.log(chalk.yellow('⚠️  That directory is inside the project - add it to .gitignore or additionalIgnores, or the next claudepoint will include it'));
+      }
+    } catch (error) {
+      spinner.fail('🚨 Checkout failed');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// 🧪 NEW: Exec command - run tests (or anything) against a past claudepoint
+program
+  .command('exec <checkpoint> <command...>')
+  .description('🧪 Run a command in a throwaway copy of a claudepoint (claudepoint exec v1.0 -- npm test)')
+  .option('--link <paths...>', 'Dependency folders to symlink from the project (default: node_modules, vendor, .venv, venv)')
+  .option('--no-link', 'Do not link any dependency folders')
+  .option('--copy', 'Copy dependency folders instead of symlinking them')
+  .option('--timeout <seconds>', 'Stop the command after this many seconds')
+  .option('--keep', 'Keep the temporary worktree for inspection')
+  .action(async (checkpoint, commandParts, options) => {
+    try {
+      const manager = new CheckpointManager();
+      const [command, ...args] = commandParts;
+
+      console.log(chalk.blue(`🧪 Running ${chalk.bold(commandParts.join(' '))} against ${checkpoint}...\n`));
+
+      const result = await manager.execInCheckpoint(checkpoint, command, args, {
+        link: options.link === false ? [] : options.link,
+        copy: options.copy,
+        timeout: parseInt(options.timeout, 10) || 0,
+        keep: options.keep,
+        stream: true
+      });
+
+      if (!result.success) {
+        console.error(chalk.red(`\n❌ Exec failed: ${result.error}`));
+        if (result.workDir) {
+          console.log(chalk.gray(`   Worktree kept at ${result.workDir}`));
+        }
+        process.exit(1);
+      }
+
+      const duration = `${(result.durationMs / 1000).toFixed(1)}s`;
+      console.log('');
+      if (result.timedOut) {
+        console.log(chalk.red(`⏱️  Timed out after ${options.timeout}s on ${result.name}`));
+      } else if (result.passed) {
+        console.log(chalk.green(`✅ Exit code 0 on ${result.name} (${duration})`));
+      } else {
+        console.log(chalk.red(`❌ Exit code ${result.exitCode ?? result.signal} on ${result.name} (${duration})`));
+      }
+      if (result.linked.length > 0) {
+        console.log(chalk.gray(`   Linked: ${result.linked.map(entry => `${entry.path} (${entry.mode})`).join(', ')}`));
+      }
+      if (result.workDir) {
+        console.log(chalk.gray(`   Worktree kept at ${result.workDir}`));
+      }
+      console.log(chalk.gray('   Your working tree was not touched'));
+
+      process.exit(result.passed ? 0 : (result.exitCode || 1));
+    } catch (error) {
+      console.error(chalk.red('❌ Exec failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// 🔀 NEW: Bisect command - find the claudepoint that broke the build
+program
+  .command('bisect')
+  .description('🔀 Find the first claudepoint where a command fails // claudepoint bisect --run "npm test"')
+  .requiredOption('--run <command>', 'Shell command that exits 0 when a claudepoint is good')
+  .option('--good <checkpoint>', 'A claudepoint known to pass (default: the oldest)')
+  .option('--bad <checkpoint>', 'A claudepoint known to fail (default: the newest)')
+  .option('--link <paths...>', 'Dependency folders to symlink from the project (default: node_modules, vendor, .venv, venv)')
+  .option('--no-link', 'Do not link any dependency folders')
+  .option('--timeout <seconds>', 'Treat a run as failing after this many seconds')
+  .option('--verbose', 'Stream the output of every run')
+  .action(async (options) => {
+    let spinner = null;
+
+    try {
+      const manager = new CheckpointManager();
+      console.log(chalk.blue(`🔀 Bisecting claudepoints with ${chalk.bold(options.run)}\n`));
+
+      const result = await manager.bisectCheckpoints(options.run, {
+        good: options.good,
+        bad: options.bad,
+        link: options.link === false ? [] : options.link,
+        timeout: parseInt(options.timeout, 10) || 0,
+        stream: options.verbose,
+        onStep: (step) => {
+          if (step.phase === 'start') {
+            spinner = ora(`🧪 Testing ${step.checkpoint}...`);
+            // Streamed output and a spinner would overwrite each other
+            if (options.verbose) {
+              console.log(chalk.blue(`🧪 Testing ${step.checkpoint}...`));
+            } else {
+              spinner.start();
+            }
+            return;
+          }
+          const label = step.timedOut ? 'timed out' : `exit ${step.exitCode}`;
+          const message = `${step.checkpoint} ${chalk.gray(`(${label})`)}`;
+          if (step.passed) {
+            spinner.succeed(chalk.green(`good  ${message}`));
+          } else {
+            spinner.fail(chalk.red(`bad   ${message}`));
+          }
+        }
+      });
+
+      if (!result.success) {
+        if (spinner?.isSpinning) spinner.stop();
+        console.error(chalk.red(`\n❌ Bisect failed: ${result.error}`));
+        process.exit(1);
+      }
+
+      if (result.alreadyFailing) {
+        console.log(chalk.yellow(`\n⚠️  Already failing on the oldest claudepoint tested: ${result.firstBad}`));
+        console.log(chalk.gray('   Pass --good with a claudepoint that passes to narrow it down'));
+      } else {
+        console.log(chalk.bold(`\n🎯 First bad claudepoint: ${chalk.red(result.firstBad)}`));
+        console.log(`   Last good claudepoint:  ${chalk.green(result.lastGood)}`);
+        console.log(chalk.gray(`   ${result.steps.length} claudepoints tested`));
+
+        if (result.changes) {
+          const total = result.changes.added.length + result.changes.modified.length + result.changes.deleted.length;
+          console.log(chalk.bold(`\n📋 ${total} files changed between them:`));
+          result.changes.added.forEach(file => console.log(chalk.green(`   + ${file}`)));
+          result.changes.modified.forEach(file => console.log(chalk.yellow(`   ~ ${file}`)));
+          result.changes.deleted.forEach(file => console.log(chalk.red(`   - ${file}`)));
+        } else if (result.changesError) {
+          console.log(chalk.yellow(`\n⚠️  Can't list the changed files: ${result.changesError}`));
+        }
+      }
+
+      if (result.output.trim() && !options.verbose) {
+        console.log(chalk.gray(`\n📜 Last lines of output on ${result.firstBad}:`));
+        console.log(chalk.gray(result.output.trimEnd().split('\n').map(line => `   ${line}`).join('\n')));
+      }
+
+      if (!result.alreadyFailing) {
+        console.log(chalk.gray(`\n💡 See the changes: claudepoint diff ${result.lastGood} ${result.firstBad}`));
+      }
+    } catch (error) {
+      if (spinner?.isSpinning) spinner.stop();
+      console.error(chalk.red('❌ Bisect failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('changelog')
   .description('Show development history and session log')
@@ -970,18 +1758,201 @@ program
     }
   });
 
+// 💬 NEW: Sessions command - Claude Code conversations and the claudepoints they produced
+program
+  .command('sessions')
+  .description('💬 List Claude Code sessions and their claudepoint ranges')
+  .action(async () => {
+    try {
+      const manager = new CheckpointManager();
+      const sessions = await manager.getSessions();
+
+      if (sessions.length === 0) {
+        console.log(chalk.yellow('🤔 No sessions recorded yet.'));
+        console.log(chalk.gray('   Hook checkpoints are stamped with the session that created them - run claudepoint init-hooks --install'));
+        return;
+      }
+
+      console.log(chalk.blue(`💬 ${sessions.length} Claude Code sessions, most recent first\n`));
+      sessions.forEach(session => {
+        const [first] = session.checkpoints;
+        const last = session.checkpoints[session.checkpoints.length - 1];
+        console.log(`${chalk.cyan(session.id.slice(0, 8))} ${chalk.gray(session.id)}`);
+        console.log(`   ${new Date(session.first).toLocaleString()} → ${new Date(session.last).toLocaleString()}`);
+        console.log(`   ${session.checkpoints.length} claudepoints${session.toolCalls > 0 ? `, ${session.toolCalls} recorded tool calls` : ''}`);
+        console.log(`   ${chalk.green(first)}${last !== first ? ` → ${chalk.green(last)}` : ''}`);
+        if (session.transcriptPath) {
+          console.log(chalk.gray(`   📜 ${session.transcriptPath}`));
+        }
+        console.log();
+      });
+
+      console.log(chalk.gray(`💡 Undo a whole session: claudepoint restore --session-start ${sessions[0].id.slice(0, 8)}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Sessions failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// 🧾 NEW: Tool log - what each Claude tool call changed (after_edit_completion hook)
+program
+  .command('tool-log')
+  .description('🧾 Show what each Claude tool call changed // Recorded by the after_edit_completion hook')
+  .option('--file <path>', 'Only calls that touched this file')
+  .option('--tool <name>', 'Only calls of this tool (Edit, Write, Bash, ...)')
+  .option('-n, --limit <n>', 'How many calls to show', '20')
+  .action(async (options) => {
+    try {
+      const manager = new CheckpointManager();
+      const records = await manager.getToolChanges({
+        file: options.file,
+        tool: options.tool,
+        limit: parseInt(options.limit, 10) || 20
+      });
+
+      if (records.length === 0) {
+        console.log(chalk.yellow('🤔 No tool calls recorded.'));
+        console.log(chalk.gray('   Enable them with: claudepoint hooks enable after_edit_completion && claudepoint init-hooks --install'));
+        return;
+      }
+
+      console.log(chalk.blue(`🧾 ${records.length} tool calls, newest first\n`));
+      records.forEach(record => {
+        console.log(`${chalk.cyan(record.id)} ${chalk.bold(record.tool)} ${chalk.gray(new Date(record.timestamp).toLocaleString())}`);
+        if (record.input) {
+          console.log(`   ${record.input}`);
+        }
+        if (record.fullScan) {
+          console.log(chalk.yellow('   ⚠️  Full scan - may include hand edits or unhooked tools since the previous call'));
+        }
+        record.added.forEach(file => console.log(chalk.green(`   + ${file}`)));
+        record.modified.forEach(file => console.log(chalk.yellow(`   ~ ${file}`)));
+        record.deleted.forEach(file => console.log(chalk.red(`   - ${file}`)));
+        console.log(chalk.gray(`   ↳ after claudepoint: ${record.checkpoint || 'none'}\n`));
+      });
+
+      const [newest] = records;
+      if (newest.checkpoint) {
+        console.log(chalk.gray(`💡 See everything since the checkpoint before a call: claudepoint diff ${newest.checkpoint}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Tool log failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // 🔍 NEW: Diff command - compare checkpoint with current files
 program
-  .command('diff <checkpoint> [file]')
-  .description('🔍 Compare checkpoint with current files // Multiple diff tools supported')
+  .command('diff <checkpoint> [target] [file]')
+  .description('🔍 Compare checkpoint with current files or another checkpoint // Multiple diff tools supported')
   .option('--all', 'Compare all changed files (max 10)')
   .option('--max-files <n>', 'Maximum files to compare when using --all', '10')
   .option('--wait', 'Wait for VSCode to close before continuing')
-  .option('--tool <tool>', 'Diff tool to use: vscode, terminal, git, nvim', 'vscode')
+  .option('--tool <tool>', 'Diff tool to use: vscode, terminal, git, nvim, builtin', 'vscode')
   .option('--unified <n>', 'Number of context lines for terminal diff', '3')
-  .action(async (checkpoint, file, options) => {
+  .option('--summary', 'Only show the added/modified/deleted summary when comparing two checkpoints')
+  .action(async (checkpoint, target, fileArg, options, command) => {
     const manager = new CheckpointManager();
 
+    // 🔍 NEW: `diff <from> <to> [file]` compares two stored checkpoints.
+    // A second argument that exists as a project file keeps the classic `diff <checkpoint> <file>` meaning.
+    let toCheckpoint = null;
+    if (target && !(await manager.fileExists(path.join(manager.projectRoot, target)))) {
+      try {
+        toCheckpoint = (await manager.resolveCheckpoint(target)).name;
+      } catch (error) {
+        // Ambiguous references are clearly meant as a checkpoint; anything else may be a deleted file
+        if (error.candidates) {
+          console.log(chalk.red(`🚨 ${error.message}`));
+          process.exit(1);
+        }
+      }
+    }
+
+    if (toCheckpoint) {
+      const spinner = ora('🔍 Comparing checkpoints...').start();
+
+      try {
+        const comparison = await manager.compareCheckpoints(checkpoint, toCheckpoint);
+
+        if (!comparison.success) {
+          spinner.fail(`🚨 Comparison failed: ${comparison.error}`);
+          process.exit(1);
+        }
+
+        if (comparison.totalChanges === 0) {
+          spinner.succeed('✨ Checkpoints are identical');
+          console.log(chalk.green(`📍 ${comparison.from.name} ↔ ${comparison.to.name}`));
+          return;
+        }
+
+        spinner.succeed(`🎯 Found ${comparison.totalChanges} changed files`);
+        console.log(chalk.blue(`📍 From: ${comparison.from.name}`));
+        console.log(chalk.gray(`   Created: ${comparison.from.date}`));
+        console.log(chalk.gray(`   Description: ${comparison.from.description}`));
+        console.log(chalk.blue(`📍 To:   ${comparison.to.name}`));
+        console.log(chalk.gray(`   Created: ${comparison.to.date}`));
+        console.log(chalk.gray(`   Description: ${comparison.to.description}`));
+
+        if (comparison.added.length > 0) {
+          console.log(chalk.green(`\n➕ Added (${comparison.added.length}):`));
+          comparison.added.forEach(file => console.log(chalk.green(`   + ${file}`)));
+        }
+
+        if (comparison.modified.length > 0) {
+          console.log(chalk.yellow(`\n📝 Modified (${comparison.modified.length}):`));
+          comparison.modified.forEach(file => console.log(chalk.yellow(`   ~ ${file}`)));
+        }
+
+        if (comparison.deleted.length > 0) {
+          console.log(chalk.red(`\n🗑️  Deleted (${comparison.deleted.length}):`));
+          comparison.deleted.forEach(file => console.log(chalk.red(`   - ${file}`)));
+        }
+
+        if (options.summary) {
+          return;
+        }
+
+        // Per-file diffs default to the built-in engine here - opening a VSCode tab per file is rarely wanted
+        const tool = command.getOptionValueSource('tool') === 'default' ? 'builtin' : options.tool;
+        const diffOptions = {
+          toCheckpoint: comparison.to.name,
+          tool,
+          wait: options.wait,
+          unified: parseInt(options.unified),
+          maxFiles: parseInt(options.maxFiles)
+        };
+
+        let result;
+        if (fileArg) {
+          result = tool === 'vscode'
+            ? await manager.openVSCodeDiff(comparison.from.name, fileArg, diffOptions)
+            : await manager.openTerminalDiff(comparison.from.name, fileArg, diffOptions);
+        } else {
+          result = tool === 'vscode'
+            ? await manager.openVSCodeDiffAll(comparison.from.name, diffOptions)
+            : await manager.openTerminalDiffAll(comparison.from.name, diffOptions);
+        }
+
+        if (!result.success) {
+          console.log(chalk.red(`🚨 Diff failed: ${result.error}`));
+          process.exit(1);
+        }
+
+        if (result.skipped > 0) {
+          console.log(chalk.yellow(`📋 ${result.skipped} files skipped (use --max-files to increase limit)`));
+        }
+
+      } catch (error) {
+        spinner.fail('🚨 Diff operation failed');
+        console.error(chalk.red('Error:'), error.message);
+        process.exit(1);
+      }
+      return;
+    }
+
+    const file = target;
+
     if (options.all) {
       // Compare all changed files
       const toolName = options.tool === 'vscode' ? 'VSCode' : options.tool;
@@ -1134,6 +2105,7 @@ program
         console.log(chalk.blue('\n🚀 Usage:'));
         console.log(chalk.yellow(`   claudepoint diff ${checkpoint} <file>     # Compare specific file`));
         console.log(chalk.yellow(`   claudepoint diff ${checkpoint} --all      # Compare all changed files`));
+        console.log(chalk.yellow(`   claudepoint diff ${checkpoint} <other>    # Compare with another checkpoint`));
 
       } catch (error) {
         spinner.fail('🚨 Scan failed');
@@ -1269,15 +2241,26 @@ program
       // Build Claude Code hooks configuration with CORRECT format
       const claudeHooksConfig = {
         hooks: {
-          PreToolUse: []
+          PreToolUse: [],
+          PostToolUse: [],
+          UserPromptSubmit: [],
+          SessionStart: []
         }
       };
 
-      // Add hooks for each enabled trigger with proper structure
+      // Add hooks for each enabled trigger with proper structure - after_* triggers are PostToolUse
       Object.entries(defaultHooksConfig.triggers).forEach(([triggerName, triggerConfig]) => {
-        if (triggerConfig.enabled && triggerConfig.tools) {
+        if (triggerConfig.enabled && TOOLLESS_HOOK_EVENTS[triggerName]) {
+          // Prompt and session hooks have no tool matcher
+          claudeHooksConfig.hooks[TOOLLESS_HOOK_EVENTS[triggerName]].push({
+            hooks: [{
+              type: "command",
+              command: `claudepoint-hook --trigger ${triggerName}`
+            }]
+          });
+        } else if (triggerConfig.enabled && triggerConfig.tools) {
           triggerConfig.tools.forEach(tool => {
-            claudeHooksConfig.hooks.PreToolUse.push({
+            claudeHooksConfig.hooks[triggerConfig.event || 'PreToolUse'].push({
               matcher: tool,
               hooks: [{
                 type: "command",
@@ -1308,22 +2291,24 @@ program
         if (!existingSettings.hooks) {
           existingSettings.hooks = {};
         }
-        if (!existingSettings.hooks.PreToolUse) {
-          existingSettings.hooks.PreToolUse = {};
-        }
 
-        // Add ClaudePoint hooks with proper structure
-        if (!Array.isArray(existingSettings.hooks.PreToolUse)) {
-          existingSettings.hooks.PreToolUse = [];
-        }
+        for (const event of HOOK_EVENTS) {
+          // Add ClaudePoint hooks with proper structure
+          if (!Array.isArray(existingSettings.hooks[event])) {
+            existingSettings.hooks[event] = [];
+          }
 
-        // Remove existing claudepoint hooks to avoid duplicates
-        existingSettings.hooks.PreToolUse = existingSettings.hooks.PreToolUse.filter(hook =>
-          !hook.hooks || !hook.hooks.some(h => h.command && h.command.includes('claudepoint-hook'))
-        );
+          // Remove existing claudepoint hooks to avoid duplicates
+          existingSettings.hooks[event] = existingSettings.hooks[event].filter(hook =>
+            !hook.hooks || !hook.hooks.some(h => h.command && h.command.includes('claudepoint-hook'))
+          );
 
-        // Add new hooks
-        existingSettings.hooks.PreToolUse.push(...claudeHooksConfig.hooks.PreToolUse);
+          // Add new hooks
+          existingSettings.hooks[event].push(...claudeHooksConfig.hooks[event]);
+          if (existingSettings.hooks[event].length === 0) {
+            delete existingSettings.hooks[event];
+          }
+        }
 
         // Ensure .claude directory exists
         await fsPromises.mkdir(path.dirname(claudeSettingsPath), { recursive: true });
@@ -1382,12 +2367,16 @@ Examples:
   $ claudepoint hooks enable          Enable all hooks
   $ claudepoint hooks disable         Disable all hooks
   $ claudepoint hooks set-changelog true    Enable automatic changelog entries
+  $ claudepoint hooks set-targeted true     Only snapshot the files a tool is about to touch
 
 Available Triggers:
   before_bulk_edit        Safety checkpoint before MultiEdit operations (default: enabled)
   before_major_write      Safety checkpoint before Write operations (default: disabled)  
   before_bash_commands    Safety checkpoint before Bash commands (default: disabled)
   before_file_operations  Safety checkpoint before any file changes (default: disabled)
+  after_edit_completion   Record what each Edit/Write/Bash call changed, PostToolUse (default: disabled)
+  before_user_prompt      Checkpoint before each prompt you send, UserPromptSubmit (default: disabled)
+  session_start           Full checkpoint at the start of each session, SessionStart (default: enabled)
 `);
 
 hooksCommand
@@ -1419,6 +2408,7 @@ hooksCommand
 
       console.log(`Overall Status: ${overallStatus}`);
       console.log(`Auto Changelog: ${config.auto_changelog ? chalk.green('Enabled') : chalk.yellow('Disabled')}`);
+      console.log(`Targeted Checkpoints: ${config.targeted_checkpoints ? chalk.green('Enabled') : chalk.yellow('Disabled')}`);
 
       if (config.enabled && !installedInClaude) {
         console.log(chalk.red('\n⚠️  HOOKS NOT ACTIVE: Not installed in Claude Code settings'));
@@ -1437,12 +2427,20 @@ hooksCommand
         if (trigger.tools && trigger.tools.length > 0) {
           console.log(`    ${chalk.gray('Triggers on:')} ${chalk.cyan(trigger.tools.join(', '))} tools`);
         }
+        if (trigger.event === 'PostToolUse') {
+          console.log(`    ${chalk.gray('Runs:')} after the tool call (PostToolUse)`);
+        } else if (trigger.event === 'UserPromptSubmit') {
+          console.log(`    ${chalk.gray('Runs:')} when you send a prompt (UserPromptSubmit)`);
+        } else if (trigger.event === 'SessionStart') {
+          console.log(`    ${chalk.gray('Runs:')} when a session starts or resumes (SessionStart)`);
+        }
       });
 
       console.log(chalk.blue('\n⚙️  Management Commands:'));
       console.log(`  ${chalk.cyan('claudepoint hooks enable [trigger]')} - Enable all hooks or specific trigger`);
       console.log(`  ${chalk.cyan('claudepoint hooks disable [trigger]')} - Disable all hooks or specific trigger`);
       console.log(`  ${chalk.cyan('claudepoint hooks set-changelog true/false')} - Toggle auto-changelog`);
+      console.log(`  ${chalk.cyan('claudepoint hooks set-targeted true/false')} - Only snapshot the files a tool is about to touch`);
       console.log(`  ${chalk.cyan('claudepoint hooks configure')} - Interactive configuration wizard`);
 
       console.log(chalk.blue('\n💡 Examples:'));
@@ -1543,6 +2541,34 @@ hooksCommand
     }
   });
 
+hooksCommand
+  .command('set-targeted <enabled>')
+  .description('Only snapshot the files named in the tool payload instead of the whole project (true/false)')
+  .action(async (enabled) => {
+    try {
+      const manager = new CheckpointManager();
+      const config = await manager.loadHooksConfig();
+
+      const enabledBool = enabled.toLowerCase() === 'true';
+      config.targeted_checkpoints = enabledBool;
+
+      await manager.saveHooksConfig(config);
+
+      if (enabledBool) {
+        console.log(chalk.green('✅ Enabled targeted checkpoints'));
+        console.log(chalk.gray('   Edit/Write hooks now snapshot only the files Claude is about to touch - no project scan'));
+        console.log(chalk.gray('   Bash hooks still snapshot the whole project'));
+      } else {
+        console.log(chalk.yellow('⚠️  Disabled targeted checkpoints'));
+        console.log(chalk.gray('   Hooks will snapshot the whole project (target files are still recorded)'));
+      }
+
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 hooksCommand
   .command('configure')
   .description('Interactive configuration wizard for hooks')
@@ -1571,6 +2597,13 @@ hooksCommand
           default: config.auto_changelog
         }]);
 
+        const { enableTargeted } = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'enableTargeted',
+          message: 'Only snapshot the files a tool is about to touch (faster on big repos)?',
+          default: config.targeted_checkpoints
+        }]);
+
         // Individual trigger configuration
         console.log(chalk.blue('\n📋 Configure Individual Triggers:'));
 
@@ -1589,6 +2622,7 @@ hooksCommand
 
         config.enabled = true;
         config.auto_changelog = enableChangelog;
+        config.targeted_checkpoints = enableTargeted;
 
         await manager.saveHooksConfig(config);
 
@@ -1598,6 +2632,7 @@ hooksCommand
         console.log(chalk.blue('\n📊 Configuration Summary:'));
         console.log(`Hooks: ${chalk.green('Enabled')}`);
         console.log(`Auto-changelog: ${enableChangelog ? chalk.green('Enabled') : chalk.yellow('Disabled')}`);
+        console.log(`Targeted checkpoints: ${enableTargeted ? chalk.green('Enabled') : chalk.yellow('Disabled')}`);
 
         triggerChoices.forEach(({ name, enabled }) => {
           const status = enabled ? chalk.green('✅') : chalk.red('❌');
@@ -1964,9 +2999,12 @@ async function checkHooksInstallation() {
   try {
     const settingsData = await fsPromises.readFile(settingsPath, 'utf8');
     const settings = JSON.parse(settingsData);
-    const found = settings.hooks?.PreToolUse &&
-      Object.values(settings.hooks.PreToolUse).some(cmd =>
-        typeof cmd === 'string' && cmd.includes('claudepoint-hook'));
+    // Hook lists are arrays of { matcher, hooks: [{ command }] }; older settings used { tool: command }
+    const isClaudepointHook = (entry) => typeof entry === 'string'
+      ? entry.includes('claudepoint-hook')
+      : Boolean(entry?.hooks?.some(h => h.command && h.command.includes('claudepoint-hook')));
+    const found = HOOK_EVENTS.some(event =>
+      settings.hooks?.[event] && Object.values(settings.hooks[event]).some(isClaudepointHook));
     return { found, settingsPath };
   } catch (error) {
     return { found: false, settingsPath };
@@ -1975,29 +3013,38 @@ async function checkHooksInstallation() {
 
 async function removeHooksConfiguration(settingsPath, dryRun) {
   if (dryRun) {
-    return { success: true, details: 'Would remove claudepoint hooks from PreToolUse' };
+    return { success: true, details: `Would remove claudepoint hooks from ${HOOK_EVENTS.join(', ')}` };
   }
 
   try {
     const settingsData = await fsPromises.readFile(settingsPath, 'utf8');
     const settings = JSON.parse(settingsData);
-
-    if (settings.hooks?.PreToolUse) {
-      // Remove all claudepoint hooks
-      Object.keys(settings.hooks.PreToolUse).forEach(tool => {
-        if (settings.hooks.PreToolUse[tool] &&
-          settings.hooks.PreToolUse[tool].includes('claudepoint-hook')) {
-          delete settings.hooks.PreToolUse[tool];
+    const events = HOOK_EVENTS.filter(event => settings.hooks?.[event]);
+
+    if (events.length > 0) {
+      for (const event of events) {
+        // Remove all claudepoint hooks
+        if (Array.isArray(settings.hooks[event])) {
+          settings.hooks[event] = settings.hooks[event].filter(hook =>
+            !hook.hooks || !hook.hooks.some(h => h.command && h.command.includes('claudepoint-hook'))
+          );
+        } else {
+          Object.keys(settings.hooks[event]).forEach(tool => {
+            if (typeof settings.hooks[event][tool] === 'string' &&
+              settings.hooks[event][tool].includes('claudepoint-hook')) {
+              delete settings.hooks[event][tool];
+            }
+          });
         }
-      });
 
-      // Clean up empty objects
-      if (Object.keys(settings.hooks.PreToolUse).length === 0) {
-        delete settings.hooks.PreToolUse;
-        if (Object.keys(settings.hooks).length === 0) {
-          delete settings.hooks;
+        // Clean up empty objects
+        if (Object.keys(settings.hooks[event]).length === 0) {
+          delete settings.hooks[event];
         }
       }
+      if (Object.keys(settings.hooks).length === 0) {
+        delete settings.hooks;
+      }
 
       await fsPromises.writeFile(settingsPath, JSON.stringify(settings, null, 2));
       return { success: true, details: 'Removed claudepoint hooks configuration' };
@@ -2015,7 +3062,7 @@ async function checkSlashCommands() {
   try {
     const files = await fsPromises.readdir(commandsDir);
     const claudepointFiles = files.filter(file =>
-      file.includes('claudepoint') || file.includes('undo.md') || file.includes('changes.md') || file.includes('ultrathink.md')
+      file.includes('claudepoint') || file.includes('undo.md') || file.includes('redo.md') || file.includes('changes.md') || file.includes('ultrathink.md')
     );
     return { found: claudepointFiles.length > 0, commandsDir, files: claudepointFiles };
   } catch (error) {
@@ -2031,7 +3078,7 @@ async function removeSlashCommands(commandsDir, dryRun) {
   try {
     const files = await fsPromises.readdir(commandsDir);
     const claudepointFiles = files.filter(file =>
-      file.includes('claudepoint') || file.includes('undo.md') || file.includes('changes.md') || file.includes('ultrathink.md')
+      file.includes('claudepoint') || file.includes('undo.md') || file.includes('redo.md') || file.includes('changes.md') || file.includes('ultrathink.md')
     );
 
     let removedCount = 0;
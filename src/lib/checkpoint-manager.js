@@ -4,17 +4,59 @@ import tar from 'tar';
 import ignore from 'ignore';
 import crypto from 'crypto';
 import os from 'os';
+import zlib from 'zlib';
+import { promisify } from 'util';
 
 const { promises: fsPromises } = fs;
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Objects younger than this are never garbage collected, so a checkpoint that is
+// still being written by another process (e.g. a hook) cannot lose its blobs
+const OBJECT_GC_GRACE_PERIOD_MS = 10 * 60 * 1000;
+
+// How many restores/undos `redo` can step back through
+const MAX_RESTORE_HISTORY = 20;
+// Session start checkpoints of the newest sessions survive cleanup, like redo targets
+const MAX_KEPT_SESSION_STARTS = 20;
+
+// How many per-tool-call change records (PostToolUse hooks) are kept
+const MAX_TOOL_CHANGES = 200;
+
+// Secrets that must never be written to disk in prompt descriptions, hook commands or tool records
+const SECRET_PATTERNS = [
+  [/\b(?:sk|pk|rk)[-_][A-Za-z0-9_-]{16,}/g, '[key]'],
+  [/\bgh[pousr]_[A-Za-z0-9]{20,}/g, '[token]'],
+  [/\bAKIA[0-9A-Z]{16}\b/g, '[key]'],
+  [/\bxox[abprs]-[A-Za-z0-9-]{10,}/g, '[token]'],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, '[jwt]'],
+  [/\b(bearer)\s+[A-Za-z0-9._~+/-]+=*/gi, '$1 [token]'],
+  // API_KEY=..., GITHUB_TOKEN: ..., --password=... and --token ...
+  [/\b([\w-]*(?:password|passwd|pwd|secret|token|api[_-]?key)[\w-]*["']?)(\s*[:=]\s*)(?:"[^"]*"|'[^']*'|[^\s"',;}]+)/gi, '$1$2[redacted]'],
+  [/(--?[\w-]*(?:password|passwd|secret|token|api[_-]?key)[\w-]*)(\s+)(?!-)(?:"[^"]*"|'[^']*'|[^\s"',;}]+)/gi, '$1$2[redacted]'],
+  [/(\b[a-z][\w+.-]*:\/\/[^\s:@/]+:)[^\s@/]+@/gi, '$1[redacted]@'],
+  // Real addresses end in a letters-only label - lodash@4.17.21 and git@github.com:org/repo don't count
+  [/\b(?!git@)[\w.+-]+@(?:[a-z0-9-]+\.)+[a-z]{2,}\b(?![\w:/-]|\.\w)/gi, '[email]']
+];
+
+// Ignored dependency folders that `exec` links into its temporary worktree
+const DEFAULT_EXEC_LINKS = ['node_modules', 'vendor', '.venv', 'venv'];
+
+// How much of a command's stdout/stderr `exec` keeps for its result (the tail is kept)
+const MAX_EXEC_OUTPUT_CHARS = 100000;
 
 class CheckpointManager {
   constructor(projectRoot = process.cwd()) {
     this.projectRoot = path.resolve(projectRoot);
     this.checkpointDir = path.join(this.projectRoot, '.claudepoint');
     this.snapshotsDir = path.join(this.checkpointDir, 'snapshots');
+    this.objectsDir = path.join(this.checkpointDir, 'objects');
+    this.quarantineDir = path.join(this.checkpointDir, 'quarantine');
     this.configFile = path.join(this.checkpointDir, 'config.json');
     this.changelogFile = path.join(this.checkpointDir, 'changelog.json');
+    this.historyFile = path.join(this.checkpointDir, 'history.json');
     this.hooksConfigFile = path.join(this.checkpointDir, 'hooks.json');
+    this.toolChangesFile = path.join(this.checkpointDir, 'tool-changes.json');
 
     // 🕶️ Hacker vibes - cool messages for the coding experience
     this.successMessages = [
@@ -56,6 +98,7 @@ class CheckpointManager {
   async ensureDirectories() {
     await fsPromises.mkdir(this.checkpointDir, { recursive: true });
     await fsPromises.mkdir(this.snapshotsDir, { recursive: true });
+    await fsPromises.mkdir(this.objectsDir, { recursive: true });
   }
 
   async loadConfig() {
@@ -72,14 +115,43 @@ class CheckpointManager {
       forceInclude: [],
       nameTemplate: 'checkpoint_{timestamp}',
       // Cleanup settings
-      maxAge: 30 // Days to keep checkpoints (0 = no age limit)
+      maxAge: 30, // Days to keep checkpoints (0 = no age limit)
+      maxStorageBytes: 0, // Vault size limit - cleanup evicts the oldest checkpoints (0 = no limit)
+      maxCheckpointBytes: 0, // Size limit for a single snapshot (0 = no limit)
+      oversizedCheckpoint: 'warn', // 'warn' or 'refuse' when a snapshot exceeds maxCheckpointBytes
+      // Incremental settings
+      incremental: {
+        enabled: true,
+        fullSnapshotInterval: 10 // Incremental checkpoints before a new FULL base
+      },
+      // Tiered retention (grandfather-father-son) - replaces maxCheckpoints/maxAge when enabled
+      retention: {
+        enabled: false,
+        keepAllMinutes: 60, // Keep every checkpoint from the last hour
+        hourly: 24, // Then the newest checkpoint of each hour, for 24 hours
+        daily: 30, // Then the newest checkpoint of each day, for 30 days
+        weekly: 0 // Then the newest checkpoint of each week (0 = none)
+      },
+      // Per-origin pools: origins listed here get their own count/age limits instead of
+      // sharing maxCheckpoints/maxAge (keys: manual, mcp, setup, emergency, hook or hook:<trigger>).
+      // Limits left out fall back to maxCheckpoints/maxAge, so the default pools keep as much as before
+      originLimits: {
+        hook: {},
+        emergency: {}
+      }
     };
 
     try {
       const configData = await fsPromises.readFile(this.configFile, 'utf8');
       const config = JSON.parse(configData);
       // Merge with defaults for any missing keys
-      return { ...defaultConfig, ...config };
+      return {
+        ...defaultConfig,
+        ...config,
+        incremental: { ...defaultConfig.incremental, ...config.incremental },
+        retention: { ...defaultConfig.retention, ...config.retention },
+        originLimits: { ...defaultConfig.originLimits, ...config.originLimits }
+      };
     } catch (error) {
       // Create default config file
       await this.ensureDirectories();
@@ -92,6 +164,7 @@ class CheckpointManager {
     const defaultHooksConfig = {
       enabled: true,
       auto_changelog: false,
+      targeted_checkpoints: false,  // Snapshot only the files in the tool payload
       triggers: {
         before_bulk_edit: {
           enabled: true,
@@ -112,6 +185,22 @@ class CheckpointManager {
           enabled: false,  // Advanced option
           tools: ['Edit', 'MultiEdit', 'Write'],
           description: 'Safety checkpoint before any file modification (comprehensive protection)'
+        },
+        session_start: {
+          enabled: true,
+          event: 'SessionStart',
+          description: 'Full checkpoint when a Claude Code session starts - what restore --session-start goes back to'
+        },
+        before_user_prompt: {
+          enabled: false,
+          event: 'UserPromptSubmit',
+          description: 'Checkpoint each time you send Claude a prompt - undo one whole reply at a time'
+        },
+        after_edit_completion: {
+          enabled: false,  // Bash calls without file targets mean a project scan each time
+          event: 'PostToolUse',
+          tools: ['Edit', 'MultiEdit', 'Write', 'Bash'],
+          description: 'Record what each tool call changed, linked to the preceding checkpoint'
         }
       }
     };
@@ -119,8 +208,12 @@ class CheckpointManager {
     try {
       const configData = await fsPromises.readFile(this.hooksConfigFile, 'utf8');
       const config = JSON.parse(configData);
-      // Merge with defaults for any missing keys
-      return { ...defaultHooksConfig, ...config };
+      // Merge with defaults for any missing keys - including triggers added since it was written
+      const triggers = { ...defaultHooksConfig.triggers };
+      for (const [name, trigger] of Object.entries(config.triggers || {})) {
+        triggers[name] = { ...triggers[name], ...trigger };
+      }
+      return { ...defaultHooksConfig, ...config, triggers };
     } catch (error) {
       // Hooks config doesn't exist yet - return defaults but don't create file
       // File will be created by init-hooks command
@@ -173,6 +266,48 @@ class CheckpointManager {
     return shouldIgnore;
   }
 
+  // Hook targets (absolute or relative) -> project-relative paths; anything outside the
+  // project or inside the vault is dropped
+  normalizeTargets(targets) {
+    const normalized = new Set();
+    for (const target of targets) {
+      if (typeof target !== 'string' || !target) continue;
+      const relative = path.relative(this.projectRoot, path.resolve(this.projectRoot, target));
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) continue;
+      if (relative.split(path.sep)[0] === '.claudepoint') continue;
+      normalized.add(relative);
+    }
+    return [...normalized];
+  }
+
+  // A literal path as a gitignore-style pattern, anchored to the project root
+  escapePathPattern(file) {
+    return `/${file.split(path.sep).join('/').replace(/[\\*?[\]!#]/g, '\\$&')}`;
+  }
+
+  // The given files that exist and aren't ignored - the targeted alternative to getProjectFiles
+  async getExistingFiles(files) {
+    const existing = [];
+    for (const file of files) {
+      const fullPath = path.join(this.projectRoot, file);
+      try {
+        const stats = await fsPromises.stat(fullPath);
+        if (stats.isFile() && !(await this.shouldIgnore(fullPath))) {
+          existing.push(file);
+        }
+      } catch (error) {
+        // Not created yet (e.g. a Write of a new file) - the scope still covers it
+      }
+    }
+    return existing;
+  }
+
+  // Gitignore-style path patterns (e.g. "src/auth/**", "*.test.js", "package.json")
+  createPathFilter(patterns) {
+    const ig = ignore().add(patterns.map(pattern => pattern.replace(/^\.\//, '')));
+    return (file) => ig.ignores(file);
+  }
+
   matchesPattern(str, pattern) {
     // Simple glob pattern matching
     const regexPattern = pattern
@@ -272,7 +407,389 @@ class CheckpointManager {
     }
   }
 
-  async calculateChanges(currentFiles, lastCheckpointName) {
+  // 📦 Object store: file contents shared by all checkpoints, keyed by SHA-256
+  getObjectPath(hash) {
+    return path.join(this.objectsDir, hash.slice(0, 2), hash.slice(2));
+  }
+
+  usesObjectStore(checkpoint) {
+    return checkpoint.storage === 'objects';
+  }
+
+  async storeObject(filePath, expectedHash) {
+    // Unchanged content is already in the store - just refresh its mtime so the
+    // garbage collector treats it as recently used
+    if (expectedHash) {
+      const existingPath = this.getObjectPath(expectedHash);
+      try {
+        const now = new Date();
+        await fsPromises.utimes(existingPath, now, now);
+        return { hash: expectedHash, written: false, bytes: 0 };
+      } catch (error) {
+        // Not stored yet, write it below
+      }
+    }
+
+    const content = await fsPromises.readFile(path.join(this.projectRoot, filePath));
+    // Re-hash what we actually read: the file may have changed since it was scanned
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    const objectPath = this.getObjectPath(hash);
+
+    if (await this.fileExists(objectPath)) {
+      return { hash, written: false, bytes: 0 };
+    }
+
+    const compressed = await gzip(content);
+    await fsPromises.mkdir(path.dirname(objectPath), { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a truncated object behind
+    const tempPath = `${objectPath}.${process.pid}.tmp`;
+    await fsPromises.writeFile(tempPath, compressed);
+    await fsPromises.rename(tempPath, objectPath);
+
+    return { hash, written: true, bytes: compressed.length };
+  }
+
+  async readObject(hash) {
+    const compressed = await fsPromises.readFile(this.getObjectPath(hash));
+    return await gunzip(compressed);
+  }
+
+  async collectGarbage() {
+    const referenced = new Set();
+    const checkpoints = await this.getCheckpoints();
+
+    for (const checkpoint of checkpoints) {
+      if (this.usesObjectStore(checkpoint)) {
+        Object.values(checkpoint.fileHashes || {}).forEach(hash => referenced.add(hash));
+      }
+    }
+
+    const cutoff = Date.now() - OBJECT_GC_GRACE_PERIOD_MS;
+    let removed = 0;
+    let bytesFreed = 0;
+
+    let prefixes = [];
+    try {
+      prefixes = await fsPromises.readdir(this.objectsDir, { withFileTypes: true });
+    } catch (error) {
+      return { removed, bytesFreed };
+    }
+
+    for (const prefix of prefixes) {
+      if (!prefix.isDirectory()) continue;
+
+      const prefixDir = path.join(this.objectsDir, prefix.name);
+      const entries = await fsPromises.readdir(prefixDir);
+
+      for (const entry of entries) {
+        const hash = prefix.name + entry;
+        if (referenced.has(hash)) continue;
+
+        const objectPath = path.join(prefixDir, entry);
+        try {
+          const stats = await fsPromises.stat(objectPath);
+          if (stats.mtimeMs > cutoff) continue;
+
+          await fsPromises.unlink(objectPath);
+          removed++;
+          bytesFreed += stats.size;
+        } catch (error) {
+          // Object vanished or is locked, continue
+        }
+      }
+
+      try {
+        const remaining = await fsPromises.readdir(prefixDir);
+        if (remaining.length === 0) {
+          await fsPromises.rmdir(prefixDir);
+        }
+      } catch (error) {
+        // Directory not empty or other error, continue
+      }
+    }
+
+    return { removed, bytesFreed };
+  }
+
+  // 🩺 NEW: Integrity check (fsck) - re-hash stored contents against manifest.fileHashes,
+  // find unreadable archives, orphaned directories and broken incremental chains
+  async verifyCheckpoints(checkpointName = null, options = {}) {
+    try {
+      const checkpoints = await this.getCheckpoints();
+      const byName = new Map(checkpoints.map(cp => [cp.name, cp]));
+      let targets = checkpoints;
+
+      if (checkpointName) {
+        targets = [await this.resolveCheckpoint(checkpointName, checkpoints)];
+      }
+
+      const problems = [];
+      // Objects are shared between checkpoints - hash each one only once
+      const objectStatus = new Map();
+
+      // Directories getCheckpoints() silently skips
+      if (!checkpointName) {
+        problems.push(...await this.findInvalidSnapshotDirs());
+      }
+
+      for (const checkpoint of targets) {
+        problems.push(...this.verifyChain(checkpoint, byName));
+        problems.push(...(this.usesObjectStore(checkpoint)
+          ? await this.verifyStoredObjects(checkpoint, objectStatus)
+          : await this.verifyLegacyArchive(checkpoint)));
+      }
+
+      let quarantined = [];
+      if (options.quarantine && problems.length > 0) {
+        // Incremental checkpoints built on a quarantined one would be left dangling
+        const bad = new Set(problems.map(problem => problem.checkpoint));
+        for (const checkpoint of checkpoints) {
+          if (bad.has(checkpoint.name)) continue;
+          const brokenBase = this.getChainNames(checkpoint, byName).find(name => bad.has(name));
+          if (brokenBase) {
+            bad.add(checkpoint.name);
+            problems.push({
+              checkpoint: checkpoint.name,
+              type: 'broken-chain',
+              message: `Base checkpoint ${brokenBase} is being quarantined`
+            });
+          }
+        }
+
+        quarantined = await this.quarantineEntries([...bad], objectStatus);
+      }
+
+      const failing = new Set(problems.map(problem => problem.checkpoint));
+      return {
+        success: true,
+        ok: problems.length === 0,
+        checked: targets.length,
+        healthy: targets.filter(cp => !failing.has(cp.name)).map(cp => cp.name),
+        problems,
+        quarantined
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // 🩺 Helper: Snapshot directories without a readable manifest
+  async findInvalidSnapshotDirs() {
+    const problems = [];
+
+    let entries = [];
+    try {
+      entries = await fsPromises.readdir(this.snapshotsDir, { withFileTypes: true });
+    } catch (error) {
+      return problems;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+
+      const manifestPath = path.join(this.snapshotsDir, entry.name, 'manifest.json');
+      let manifestData;
+      try {
+        manifestData = await fsPromises.readFile(manifestPath, 'utf8');
+      } catch (error) {
+        problems.push({
+          checkpoint: entry.name,
+          type: 'orphaned-directory',
+          message: 'Directory has no manifest.json'
+        });
+        continue;
+      }
+
+      try {
+        JSON.parse(manifestData);
+      } catch (error) {
+        problems.push({
+          checkpoint: entry.name,
+          type: 'invalid-manifest',
+          message: `manifest.json can't be parsed: ${error.message}`
+        });
+      }
+    }
+
+    return problems;
+  }
+
+  // 🩺 Helper: Names of the checkpoints an incremental checkpoint is built on (nearest first)
+  getChainNames(checkpoint, byName) {
+    const names = [];
+    let current = checkpoint;
+    while (current?.type === 'INCREMENTAL' && current.baseCheckpoint && !names.includes(current.baseCheckpoint)) {
+      names.push(current.baseCheckpoint);
+      current = byName.get(current.baseCheckpoint);
+    }
+    return names;
+  }
+
+  // 🩺 Helper: Every link of an incremental chain must exist and end in a FULL checkpoint
+  verifyChain(checkpoint, byName) {
+    let current = checkpoint;
+    const seen = new Set([checkpoint.name]);
+
+    while (current.type === 'INCREMENTAL') {
+      const problem = (message) => [{ checkpoint: checkpoint.name, type: 'broken-chain', message }];
+
+      if (!current.baseCheckpoint) {
+        return problem(`Incremental checkpoint ${current.name} has no base checkpoint`);
+      }
+      if (seen.has(current.baseCheckpoint)) {
+        return problem(`Chain loops back to ${current.baseCheckpoint}`);
+      }
+
+      const base = byName.get(current.baseCheckpoint);
+      if (!base) {
+        return problem(`Base checkpoint ${current.baseCheckpoint} is missing`);
+      }
+
+      seen.add(base.name);
+      current = base;
+    }
+
+    return [];
+  }
+
+  // 🩺 Helper: Re-hash every object a checkpoint references
+  async verifyStoredObjects(checkpoint, objectStatus) {
+    const problems = [];
+
+    for (const [file, hash] of Object.entries(checkpoint.fileHashes || {})) {
+      if (!objectStatus.has(hash)) {
+        let status = 'ok';
+        try {
+          const content = await this.readObject(hash);
+          if (crypto.createHash('sha256').update(content).digest('hex') !== hash) {
+            status = 'corrupt';
+          }
+        } catch (error) {
+          status = error.code === 'ENOENT' ? 'missing' : 'corrupt';
+        }
+        objectStatus.set(hash, status);
+      }
+
+      const status = objectStatus.get(hash);
+      if (status !== 'ok') {
+        problems.push({
+          checkpoint: checkpoint.name,
+          type: `${status}-object`,
+          file,
+          hash,
+          message: `Stored content of ${file} is ${status}`
+        });
+      }
+    }
+
+    return problems;
+  }
+
+  // 🩺 Helper: Legacy checkpoints keep their files in files.tar.gz (or added/ and modified/)
+  async verifyLegacyArchive(checkpoint) {
+    const problems = [];
+    const checkpointPath = path.join(this.snapshotsDir, checkpoint.name);
+    const tarPath = path.join(checkpointPath, 'files.tar.gz');
+    const expectedFiles = checkpoint.type === 'INCREMENTAL' && checkpoint.changes
+      ? [...(checkpoint.changes.added || []), ...(checkpoint.changes.modified || [])]
+      : checkpoint.files;
+
+    const checkFile = (file, hash) => {
+      if (hash === undefined) {
+        problems.push({ checkpoint: checkpoint.name, type: 'missing-file', file, message: `${file} is missing from the archive` });
+      } else if (checkpoint.fileHashes?.[file] && checkpoint.fileHashes[file] !== hash) {
+        problems.push({ checkpoint: checkpoint.name, type: 'hash-mismatch', file, message: `${file} doesn't match its recorded hash` });
+      }
+    };
+
+    if (await this.fileExists(tarPath)) {
+      let archived;
+      try {
+        archived = await this.hashArchiveEntries(tarPath);
+      } catch (error) {
+        return [{ checkpoint: checkpoint.name, type: 'corrupt-archive', message: `files.tar.gz is unreadable: ${error.message}` }];
+      }
+
+      expectedFiles.forEach(file => checkFile(file, archived.get(file)));
+      return problems;
+    }
+
+    if (checkpoint.type !== 'INCREMENTAL' || !checkpoint.changes) {
+      return [{ checkpoint: checkpoint.name, type: 'missing-archive', message: 'files.tar.gz is missing' }];
+    }
+
+    for (const [dir, files] of [['added', checkpoint.changes.added || []], ['modified', checkpoint.changes.modified || []]]) {
+      for (const file of files) {
+        try {
+          const content = await fsPromises.readFile(path.join(checkpointPath, dir, file));
+          checkFile(file, crypto.createHash('sha256').update(content).digest('hex'));
+        } catch (error) {
+          checkFile(file, undefined);
+        }
+      }
+    }
+
+    return problems;
+  }
+
+  // 🩺 Helper: SHA-256 of every file inside a tarball, keyed by path
+  async hashArchiveEntries(tarPath) {
+    const hashes = new Map();
+
+    await tar.t({
+      file: tarPath,
+      strict: true,
+      onentry: (entry) => {
+        if (entry.type !== 'File') return;
+        const hash = crypto.createHash('sha256');
+        entry.on('data', chunk => hash.update(chunk));
+        entry.on('end', () => hashes.set(entry.path, hash.digest('hex')));
+      }
+    });
+
+    return hashes;
+  }
+
+  // 🩺 Helper: Move bad checkpoints and corrupt objects to .claudepoint/quarantine/<timestamp>
+  // so restores can't pick them up; they are kept for inspection instead of deleted
+  async quarantineEntries(checkpointNames, objectStatus) {
+    const quarantinePath = path.join(this.quarantineDir, new Date().toISOString().replace(/[:.]/g, '-'));
+    const quarantined = [];
+
+    for (const name of checkpointNames) {
+      const source = path.join(this.snapshotsDir, name);
+      if (!(await this.fileExists(source))) continue;
+
+      await fsPromises.mkdir(path.join(quarantinePath, 'snapshots'), { recursive: true });
+      await fsPromises.rename(source, path.join(quarantinePath, 'snapshots', name));
+      quarantined.push({ kind: 'checkpoint', name });
+    }
+
+    // A corrupt object would otherwise be reused by every future checkpoint with that content
+    for (const [hash, status] of objectStatus) {
+      if (status !== 'corrupt') continue;
+
+      await fsPromises.mkdir(path.join(quarantinePath, 'objects'), { recursive: true });
+      await fsPromises.rename(this.getObjectPath(hash), path.join(quarantinePath, 'objects', hash));
+      quarantined.push({ kind: 'object', name: hash });
+    }
+
+    if (quarantined.length > 0) {
+      await this.logToChangelog(
+        'QUARANTINE',
+        `Quarantined ${quarantined.length} damaged entries`,
+        `Moved to ${path.relative(this.projectRoot, quarantinePath)}`
+      );
+    }
+
+    return quarantined;
+  }
+
+  async calculateChanges(currentFiles, lastCheckpointName, currentHashes = null) {
     const changes = { added: [], modified: [], deleted: [] };
 
     if (!lastCheckpointName) {
@@ -283,7 +800,9 @@ class CheckpointManager {
 
     // Get file hashes from last checkpoint
     const lastHashes = await this.getCheckpointHashes(lastCheckpointName);
-    const currentHashes = await this.calculateFileHashes(currentFiles);
+    if (!currentHashes) {
+      currentHashes = await this.calculateFileHashes(currentFiles);
+    }
 
     // Find changes
     for (const [file, hash] of currentHashes) {
@@ -309,9 +828,26 @@ class CheckpointManager {
     return checkpoints.find(cp => cp.type === 'FULL');
   }
 
-  // Always create full checkpoints now - incremental logic removed
-  async shouldCreateFullCheckpoint(changes) {
-    return true;
+  async shouldCreateFullCheckpoint(lastCheckpoint, options = {}) {
+    const config = options.config || await this.loadConfig();
+
+    if (options.full || !lastCheckpoint || !config.incremental?.enabled) {
+      return true;
+    }
+
+    // Legacy checkpoints without hashes can't be diffed against reliably
+    if (!lastCheckpoint.fileHashes) {
+      return true;
+    }
+
+    // Start a new base once the chain is long enough (or broken)
+    try {
+      const chain = await this.buildCheckpointChain(lastCheckpoint);
+      const incrementalCount = chain.length - 1;
+      return incrementalCount + 1 > config.incremental.fullSnapshotInterval;
+    } catch (error) {
+      return true;
+    }
   }
 
   generateCheckpointName(customName, description) {
@@ -373,7 +909,7 @@ class CheckpointManager {
         const files = await this.getProjectFiles();
         if (files.length > 0) {
           // Create initial checkpoint (always full now)
-          const result = await this.create('initial', 'Initial ClaudePoint setup');
+          const result = await this.create('initial', 'Initial ClaudePoint setup', false, { origin: 'setup' });
           if (result.success) {
             initialCheckpoint = result.name;
           }
@@ -393,25 +929,39 @@ class CheckpointManager {
     }
   }
 
-  async create(name, description, forceCreate = false) {
+  async create(name, description, forceCreate = false, options = {}) {
     try {
       await this.ensureDirectories();
-      const files = await this.getProjectFiles();
+      const tags = this.normalizeTags(options.tags);
 
-      if (files.length === 0) {
+      // 🎯 Files a hook says are about to be touched. options.targeted snapshots only those,
+      // skipping the project scan - a scoped checkpoint whose scope is exactly the targets
+      const targets = options.targets ? this.normalizeTargets(options.targets) : null;
+      const targeted = Boolean(options.targeted && targets?.length);
+      const scope = targeted ? targets.map(file => this.escapePathPattern(file)) : options.scope;
+
+      // Scoped checkpoints only capture the files matching options.scope
+      const scopeFilter = scope?.length ? this.createPathFilter(scope) : null;
+      const projectFiles = targeted ? await this.getExistingFiles(targets) : await this.getProjectFiles();
+      const files = scopeFilter ? projectFiles.filter(scopeFilter) : projectFiles;
+
+      // An empty scoped checkpoint is still meaningful: restoring it removes the scope's files
+      if (files.length === 0 && !scopeFilter) {
         return {
           success: false,
           error: 'No files found to checkpoint'
         };
       }
 
-      // Get checkpoints for comparison
-      const checkpoints = await this.getCheckpoints();
+      // Get checkpoints for comparison - scoped ones don't describe the whole tree
+      const checkpoints = (await this.getCheckpoints()).filter(cp => !cp.scope);
       const lastCheckpoint = checkpoints.length > 0 ? checkpoints[0] : null;
 
       // Anti-spam protection: prevent multiple checkpoints within 30 seconds
       // unless explicitly forced or manually created (has custom name)
-      if (!forceCreate && !name && lastCheckpoint) {
+      // Targeted checkpoints are cheap and each one covers different files, so they're exempt -
+      // as are callers that pass skipCooldown (one checkpoint per user prompt)
+      if (!forceCreate && !name && lastCheckpoint && !targeted && !options.skipCooldown) {
         const lastCheckpointTime = new Date(lastCheckpoint.timestamp);
         const now = new Date();
         const timeDiff = (now - lastCheckpointTime) / 1000; // seconds
@@ -426,12 +976,18 @@ class CheckpointManager {
         }
       }
 
-      // For change detection, compare against the most recent checkpoint
-      // For incremental storage, we'll determine the base checkpoint separately
-      const changes = await this.calculateChanges(files, lastCheckpoint?.name);
+      // Calculate file hashes once - used for change detection and the manifest
+      const fileHashes = await this.calculateFileHashes(files);
+
+      // For change detection, compare against the most recent checkpoint,
+      // which is also the base of a new incremental checkpoint
+      const changes = targeted ? null : await this.calculateChanges(files, lastCheckpoint?.name, fileHashes);
 
-      // Check if there are any actual changes for incremental checkpoints
-      const hasChanges = changes.added.length > 0 || changes.modified.length > 0 || changes.deleted.length > 0;
+      // Check if there are any actual changes for incremental checkpoints - a targeted one is
+      // only needed when a target differs from the latest full checkpoint (or is missing from it)
+      const hasChanges = targeted
+        ? targets.some(file => (fileHashes.get(file) || null) !== (lastCheckpoint?.fileHashes?.[file] || null))
+        : changes.added.length > 0 || changes.modified.length > 0 || changes.deleted.length > 0;
 
       if (!forceCreate && !hasChanges && lastCheckpoint) {
         return {
@@ -441,54 +997,123 @@ class CheckpointManager {
         };
       }
 
-      // Always create full checkpoints now
-      const checkpointType = 'FULL';
+      const config = await this.loadConfig();
+      const isFull = await this.shouldCreateFullCheckpoint(lastCheckpoint, { config, full: options.full || !!scopeFilter });
+      const checkpointType = isFull ? 'FULL' : 'INCREMENTAL';
 
-      const checkpointName = this.generateCheckpointName(name, description);
+      // Names only have second resolution - never overwrite an existing checkpoint
+      const baseName = this.generateCheckpointName(name, description);
+      let checkpointName = baseName;
+      for (let suffix = 2; await this.fileExists(path.join(this.snapshotsDir, checkpointName)); suffix++) {
+        checkpointName = `${baseName}_${suffix}`;
+      }
       const checkpointPath = path.join(this.snapshotsDir, checkpointName);
-      await fsPromises.mkdir(checkpointPath, { recursive: true });
-
-      // Calculate file hashes for the manifest
-      const fileHashes = await this.calculateFileHashes(files);
 
-      // Calculate total size
+      // Calculate total size and remember executable bits (the object store only keeps contents)
       let totalSize = 0;
+      const fileModes = {};
       for (const file of files) {
         try {
           const stats = await fsPromises.stat(path.join(this.projectRoot, file));
           totalSize += stats.size;
+          if (stats.mode & 0o111) {
+            fileModes[file] = stats.mode & 0o777;
+          }
         } catch (error) {
           // File might have been deleted, skip
         }
       }
 
+      // 💽 Snapshot size limit - emergency backups are only ever warned about, never refused
+      let warning = null;
+      if (config.maxCheckpointBytes > 0 && totalSize > config.maxCheckpointBytes) {
+        const message = `Snapshot size ${this.formatSize(totalSize)} exceeds maxCheckpointBytes (${this.formatSize(config.maxCheckpointBytes)})`;
+        if (config.oversizedCheckpoint === 'refuse' && options.origin !== 'emergency') {
+          return {
+            success: false,
+            error: `${message} - add large files to additionalIgnores or raise the limit`,
+            tooLarge: true
+          };
+        }
+        warning = message;
+        console.error(`[claudepoint] Warning: ${message}`);
+      }
+
+      await fsPromises.mkdir(checkpointPath, { recursive: true });
+
       // Create extended manifest
       const manifest = {
         name: checkpointName,
         timestamp: new Date().toISOString(),
         description: description || 'Manual checkpoint',
         type: checkpointType,
+        origin: options.origin || 'manual',
+        storage: 'objects',
         files: files,
         fileCount: files.length,
         totalSize: totalSize,
-        fileHashes: Object.fromEntries(fileHashes)
+        storedBytes: 0,
+        fileHashes: Object.fromEntries(fileHashes),
+        fileModes: fileModes,
+        tags: tags,
+        notes: options.notes || ''
       };
 
-      await fsPromises.writeFile(
-        path.join(checkpointPath, 'manifest.json'),
-        JSON.stringify(manifest, null, 2)
-      );
+      if (scopeFilter) {
+        manifest.scope = scope;
+      }
+      if (targets) {
+        manifest.targets = targets;
+      }
+      if (options.hook) {
+        manifest.hook = {
+          ...options.hook,
+          ...(options.hook.command && { command: this.redactSecrets(options.hook.command) })
+        };
+      }
+      // 💬 Claude Code session that created it (hooks only) - see getSessions()
+      if (options.session?.id) {
+        manifest.session = {
+          id: options.session.id,
+          ...(options.session.transcriptPath && { transcriptPath: options.session.transcriptPath }),
+          ...(options.session.start && { start: true }),
+          // Taken after the session's first tool call already ran (PostToolUse)
+          ...(options.session.start && options.session.late && { late: true })
+        };
+      }
 
-      // Always create full tarball
-      const tarPath = path.join(checkpointPath, 'files.tar.gz');
-      await tar.create(
-        {
-          gzip: true,
-          file: tarPath,
-          cwd: this.projectRoot
-        },
-        files
-      );
+      if (checkpointType === 'INCREMENTAL') {
+        manifest.baseCheckpoint = lastCheckpoint.name;
+        manifest.changes = changes;
+        manifest.statistics = {
+          filesChanged: changes.added.length + changes.modified.length + changes.deleted.length,
+          bytesAdded: 0,
+          bytesModified: 0
+        };
+
+        // Stores only the changed files and writes the manifest
+        await this.createIncrementalCheckpoint(checkpointPath, changes, manifest);
+      } else {
+        // Store every file in the shared object store - unchanged files are deduplicated
+        const missing = [];
+        for (const file of files) {
+          try {
+            const stored = await this.storeObject(file, manifest.fileHashes[file]);
+            manifest.fileHashes[file] = stored.hash;
+            manifest.storedBytes += stored.bytes;
+          } catch (error) {
+            // File might have been deleted since the scan, skip
+            missing.push(file);
+          }
+        }
+        this.dropMissingFiles(manifest, missing);
+
+        // The manifest is written last: a checkpoint only exists once all its objects do
+        await fsPromises.writeFile(
+          path.join(checkpointPath, 'manifest.json'),
+          JSON.stringify(manifest, null, 2)
+        );
+      }
 
       // Cleanup old checkpoints
       await this.cleanupOldCheckpoints();
@@ -502,6 +1127,11 @@ class CheckpointManager {
         name: checkpointName,
         description: manifest.description,
         type: checkpointType,
+        origin: manifest.origin,
+        tags: manifest.tags,
+        ...(targets && { targets, targeted }),
+        ...(manifest.session && { session: manifest.session.id }),
+        ...(warning && { warning }),
         fileCount: checkpointType === 'INCREMENTAL' ? manifest.statistics.filesChanged : files.length,
         changesCount: checkpointType === 'INCREMENTAL' ? manifest.statistics.filesChanged : files.length,
         size: checkpointType === 'INCREMENTAL' ?
@@ -517,67 +1147,48 @@ class CheckpointManager {
   }
 
   async createIncrementalCheckpoint(checkpointPath, changes, manifest) {
-    // Create directories for incremental storage
-    const addedDir = path.join(checkpointPath, 'added');
-    const modifiedDir = path.join(checkpointPath, 'modified');
-
-    if (changes.added.length > 0) {
-      await fsPromises.mkdir(addedDir, { recursive: true });
-    }
-
-    if (changes.modified.length > 0) {
-      await fsPromises.mkdir(modifiedDir, { recursive: true });
-    }
-
     let bytesAdded = 0;
     let bytesModified = 0;
+    const missing = [];
+
+    // Only added and modified files are stored - everything else comes from the base chain
+    const storeChangedFile = async (file) => {
+      const stored = await this.storeObject(file, manifest.fileHashes[file]);
+      manifest.fileHashes[file] = stored.hash;
+      manifest.storedBytes += stored.bytes;
+      const stats = await fsPromises.stat(path.join(this.projectRoot, file));
+      return stats.size;
+    };
 
-    // Copy added files
+    // Store added files
     for (const file of changes.added) {
-      const srcPath = path.join(this.projectRoot, file);
-      const destPath = path.join(addedDir, file);
-
-      // Ensure destination directory exists
-      await fsPromises.mkdir(path.dirname(destPath), { recursive: true });
-
       try {
-        await fsPromises.copyFile(srcPath, destPath);
-        const stats = await fsPromises.stat(srcPath);
-        bytesAdded += stats.size;
+        bytesAdded += await storeChangedFile(file);
       } catch (error) {
         // File might have been deleted, skip
+        missing.push(file);
       }
     }
 
-    // Copy modified files
+    // Store modified files
     for (const file of changes.modified) {
-      const srcPath = path.join(this.projectRoot, file);
-      const destPath = path.join(modifiedDir, file);
-
-      // Ensure destination directory exists
-      await fsPromises.mkdir(path.dirname(destPath), { recursive: true });
-
       try {
-        await fsPromises.copyFile(srcPath, destPath);
-        const stats = await fsPromises.stat(srcPath);
-        bytesModified += stats.size;
+        bytesModified += await storeChangedFile(file);
       } catch (error) {
         // File might have been deleted, skip
+        missing.push(file);
       }
     }
 
-    // Save deleted files list
-    if (changes.deleted.length > 0) {
-      await fsPromises.writeFile(
-        path.join(checkpointPath, 'deleted.json'),
-        JSON.stringify(changes.deleted, null, 2)
-      );
-    }
+    this.dropMissingFiles(manifest, missing);
 
     // Update statistics in manifest
+    manifest.statistics.filesChanged = changes.added.length + changes.modified.length + changes.deleted.length;
     manifest.statistics.bytesAdded = bytesAdded;
     manifest.statistics.bytesModified = bytesModified;
-    manifest.statistics.compressionRatio = (bytesAdded + bytesModified) / manifest.totalSize;
+    manifest.statistics.compressionRatio = manifest.totalSize > 0
+      ? (bytesAdded + bytesModified) / manifest.totalSize
+      : 0;
 
     // Update manifest with statistics
     await fsPromises.writeFile(
@@ -586,34 +1197,105 @@ class CheckpointManager {
     );
   }
 
-  async restore(checkpointName, dryRun = false) {
-    try {
-      const checkpoints = await this.getCheckpoints();
-      const checkpoint = checkpoints.find(cp =>
-        cp.name === checkpointName || cp.name.includes(checkpointName)
-      );
+  dropMissingFiles(manifest, missing) {
+    if (missing.length === 0) return;
 
-      if (!checkpoint) {
-        return {
-          success: false,
-          error: `Checkpoint not found: ${checkpointName}`
-        };
-      }
+    const missingSet = new Set(missing);
+    manifest.files = manifest.files.filter(file => !missingSet.has(file));
+    manifest.fileCount = manifest.files.length;
+    for (const file of missing) {
+      delete manifest.fileHashes[file];
+    }
+
+    if (manifest.changes) {
+      // A modified file that vanished is gone now - record it as deleted, or restoring through
+      // the chain would bring back the base's copy
+      const vanished = manifest.changes.modified.filter(file => missingSet.has(file));
+      manifest.changes.added = manifest.changes.added.filter(file => !missingSet.has(file));
+      manifest.changes.modified = manifest.changes.modified.filter(file => !missingSet.has(file));
+      manifest.changes.deleted = [...manifest.changes.deleted, ...vanished];
+    }
+  }
+
+  async restore(checkpointName, dryRun = false, options = {}) {
+    try {
+      const checkpoints = await this.getCheckpoints();
+      const checkpoint = await this.resolveCheckpoint(checkpointName, checkpoints);
+
+      // Selective restore: only files matching options.only (and the checkpoint's own scope)
+      const scope = [options.only, checkpoint.scope].filter(patterns => patterns?.length);
+      const filters = scope.map(patterns => this.createPathFilter(patterns));
+      const filter = filters.length > 0 ? (file) => filters.every(match => match(file)) : null;
+
+      // Merge restore: the base defaults to the newest full claudepoint, i.e. what `changes` compares
+      // against - scoped ones (selective backups, targeted hook checkpoints) don't hold every file
+      let base = null;
+      if (options.merge) {
+        base = options.base
+          ? await this.resolveCheckpoint(options.base, checkpoints)
+          : checkpoints.find(cp => !cp.scope && this.getCheckpointOrigin(cp) !== 'emergency');
+
+        if (!base) {
+          return {
+            success: false,
+            error: 'No full claudepoint to use as the merge base. Pass one with --base.'
+          };
+        }
+
+        // Files outside a scoped base would look like they were created after it
+        if (base.scope) {
+          const inBase = this.createPathFilter(base.scope);
+          const plan = await this.planRestore(checkpoint, filter);
+          const uncovered = [...plan.filesToRestore, ...plan.filesToDelete].filter(file => !inBase(file));
+          if (uncovered.length > 0) {
+            return {
+              success: false,
+              error: `Merge base ${base.name} only covers ${base.scope.join(', ')}, but this restore also touches ${uncovered.length} other files (e.g. ${uncovered[0]}). Narrow it with --only or pick a full base.`
+            };
+          }
+        }
+
+        if (base.name === checkpoint.name) {
+          return {
+            success: false,
+            error: `Nothing to merge: ${checkpoint.name} is the merge base, so every current change counts as a local edit. Pick an older base or use a plain restore.`
+          };
+        }
+      }
+
+      if (dryRun && base) {
+        const chain = await this.buildCheckpointChain(checkpoint);
+        const plan = await this.applyRestore(checkpoint, filter, { base, dryRun: true });
+        return {
+          success: true,
+          dryRun: true,
+          checkpoint: checkpoint,
+          chainLength: chain.length,
+          restoreStrategy: 'merge',
+          base: base.name,
+          ...plan
+        };
+      }
 
       if (dryRun) {
         const chain = await this.buildCheckpointChain(checkpoint);
+        const plan = await this.planRestore(checkpoint, filter);
         return {
           success: true,
           dryRun: true,
           checkpoint: checkpoint,
           chainLength: chain.length,
-          restoreStrategy: checkpoint.type === 'FULL' ? 'direct' : 'incremental'
+          restoreStrategy: filter ? 'selective' : checkpoint.type === 'FULL' ? 'direct' : 'incremental',
+          filesToRestore: plan.filesToRestore,
+          filesToDelete: plan.filesToDelete
         };
       }
 
-      // Create emergency backup
+      // Create emergency backup - a selective restore only backs up the files it touches
       const emergencyName = `emergency_backup_${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}`;
-      const backupResult = await this.create(emergencyName, 'Auto-backup before restore', true);
+      const backupResult = filter
+        ? await this.create(emergencyName, 'Auto-backup of selected files before restore', true, { scope: scope.flat(), origin: 'emergency' })
+        : await this.create(emergencyName, 'Auto-backup before restore', true, { origin: 'emergency' });
 
       if (!backupResult.success) {
         return {
@@ -622,25 +1304,76 @@ class CheckpointManager {
         };
       }
 
-      if (checkpoint.type === 'FULL' || !checkpoint.type) {
-        // Restore full checkpoint (existing behavior)
-        await this.restoreFullCheckpoint(checkpoint);
-      } else {
-        // Restore incremental checkpoint chain
-        await this.restoreIncrementalCheckpoint(checkpoint);
+      let plan;
+      try {
+        plan = await this.applyRestore(checkpoint, filter, { base });
+      } catch (error) {
+        // Staging failures leave the project untouched; a failed swap is rolled back
+        const rollback = error.projectModified ? await this.rollbackRestore(backupResult.name) : null;
+
+        let outcome = 'Project left untouched';
+        if (rollback) {
+          outcome = rollback.success
+            ? `Rolled back from ${backupResult.name}`
+            : `Rollback failed: ${rollback.error}`;
+        }
+        await this.logToChangelog('RESTORE_FAILED', `Failed to restore claudepoint: ${checkpoint.name}`, `${error.message} // ${outcome}`);
+
+        return {
+          success: false,
+          error: `Restore failed: ${error.message}`,
+          emergencyBackup: backupResult.name,
+          projectModified: Boolean(error.projectModified),
+          rolledBack: Boolean(rollback?.success),
+          ...(rollback && !rollback.success && { rollbackError: rollback.error })
+        };
       }
 
       // Clean up empty directories
       await this.cleanupEmptyDirectories();
 
       // Log to changelog
-      await this.logToChangelog('RESTORE_CLAUDEPOINT', `Restored ${checkpoint.type || 'FULL'} claudepoint: ${checkpoint.name}`, `Emergency backup: ${emergencyName}`);
+      let restoreMessage = filter
+        ? `Restored ${plan.filesToRestore.length} files from claudepoint: ${checkpoint.name}`
+        : `Restored ${checkpoint.type || 'FULL'} claudepoint: ${checkpoint.name}`;
+      if (base) {
+        restoreMessage = `Merged claudepoint: ${checkpoint.name} (base ${base.name}, ${plan.conflicts.length} conflicts)`;
+      }
+      await this.logToChangelog('RESTORE_CLAUDEPOINT', restoreMessage, `Emergency backup: ${backupResult.name}`);
+
+      // ↩️ Remember the pre-restore state so `redo` can come back to it
+      if (options.history !== false) {
+        await this.recordRestoreHistory({
+          action: options.historyAction || 'restore',
+          restored: checkpoint.name,
+          emergencyBackup: backupResult.name,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // 🧾 ...and what it wrote, so tool-call records don't charge it to the next tool call
+      await this.recordAppliedRestore({
+        action: options.historyAction || 'restore',
+        restored: checkpoint.name,
+        emergencyBackup: backupResult.name,
+        files: [...plan.filesToRestore, ...plan.filesToDelete]
+      });
 
       return {
         success: true,
-        emergencyBackup: emergencyName,
+        emergencyBackup: backupResult.name,
         restored: checkpoint.name,
-        type: checkpoint.type || 'FULL'
+        type: checkpoint.type || 'FULL',
+        selective: Boolean(filter),
+        filesToRestore: plan.filesToRestore,
+        filesToDelete: plan.filesToDelete,
+        ...(base && {
+          merge: true,
+          base: base.name,
+          merged: plan.merged,
+          kept: plan.kept,
+          conflicts: plan.conflicts
+        })
       };
     } catch (error) {
       return {
@@ -650,352 +1383,2624 @@ class CheckpointManager {
     }
   }
 
-  async restoreFullCheckpoint(checkpoint) {
-    // Get file differences
-    const currentFiles = new Set(await this.getProjectFiles());
-    const checkpointFiles = new Set(checkpoint.files);
-    const filesToDelete = [...currentFiles].filter(f => !checkpointFiles.has(f));
+  // 📂 NEW: Write a checkpoint into any directory, leaving the project alone - no emergency
+  // backup, no deletions, no restore history. options.only narrows it to matching files.
+  async checkout(checkpointName, targetDir, options = {}) {
+    try {
+      const checkpoint = await this.resolveCheckpoint(checkpointName);
+      const target = path.resolve(targetDir);
+      const relativeToProject = path.relative(target, this.projectRoot);
 
-    // Delete files that shouldn't exist
-    for (const file of filesToDelete) {
-      const fullPath = path.join(this.projectRoot, file);
+      // The project itself or a parent of it would have project files overwritten
+      if (!relativeToProject.startsWith('..') && !path.isAbsolute(relativeToProject)) {
+        throw new Error(`Refusing to check out into ${target} - it contains the project. Use restore instead.`);
+      }
+      if (!path.relative(this.checkpointDir, target).startsWith('..')) {
+        throw new Error('Refusing to check out into the .claudepoint vault');
+      }
+
+      let existing = [];
       try {
-        await fsPromises.unlink(fullPath);
+        existing = await fsPromises.readdir(target);
       } catch (error) {
-        // File already gone, continue
+        if (error.code !== 'ENOENT') throw error;
+      }
+      if (existing.length > 0 && !options.force) {
+        throw new Error(`${target} is not empty - pick a new directory or pass --force to overwrite files in it`);
       }
-    }
 
-    // Extract checkpoint files
-    const checkpointPath = path.join(this.snapshotsDir, checkpoint.name);
-    const tarPath = path.join(checkpointPath, 'files.tar.gz');
+      const filter = options.only?.length ? this.createPathFilter(options.only) : null;
+      const files = checkpoint.files.filter(file => !filter || filter(file));
 
-    await tar.extract({
-      file: tarPath,
-      cwd: this.projectRoot
-    });
-  }
+      await fsPromises.mkdir(target, { recursive: true });
+      await this.materializeCheckpoint(checkpoint, target, filter);
 
-  async restoreIncrementalCheckpoint(targetCheckpoint) {
-    // Build the checkpoint chain from target back to base
-    const chain = await this.buildCheckpointChain(targetCheckpoint);
+      const missing = [];
+      for (const file of files) {
+        if (!(await this.fileExists(path.join(target, file)))) {
+          missing.push(file);
+        }
+      }
+      if (missing.length > 0) {
+        throw new Error(`Checkpoint ${checkpoint.name} is incomplete - missing ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ` and ${missing.length - 5} more` : ''}`);
+      }
 
-    if (chain.length === 0) {
-      throw new Error('No restoration chain found - missing base checkpoint');
+      await this.logToChangelog('CHECKOUT_CLAUDEPOINT', `Checked out claudepoint: ${checkpoint.name}`, `${files.length} files into ${target}`);
+
+      return {
+        success: true,
+        name: checkpoint.name,
+        targetDir: target,
+        fileCount: files.length,
+        insideProject: !path.relative(this.projectRoot, target).startsWith('..')
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
     }
+  }
 
-    // Start with the base full checkpoint
-    const baseCheckpoint = chain[0];
-    await this.restoreFullCheckpoint(baseCheckpoint);
+  // 🧪 NEW: Run a command inside a throwaway copy of a checkpoint (e.g. its test suite).
+  // Dependency folders the checkpoint doesn't contain are symlinked (or copied) from the
+  // project; the temp worktree is removed afterwards unless options.keep is set.
+  async execInCheckpoint(checkpointName, command, args = [], options = {}) {
+    let workDir = null;
 
-    // Apply incremental changes in order
-    for (let i = 1; i < chain.length; i++) {
-      const incrementalCheckpoint = chain[i];
-      await this.applyIncrementalChanges(incrementalCheckpoint);
+    try {
+      const checkpoint = await this.resolveCheckpoint(checkpointName);
+      workDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), `claudepoint-exec-${checkpoint.name}-`));
+      await this.materializeCheckpoint(checkpoint, workDir);
+
+      const linked = [];
+      for (const entry of options.link || DEFAULT_EXEC_LINKS) {
+        const source = path.join(this.projectRoot, entry);
+        const dest = path.join(workDir, entry);
+        if (!(await this.fileExists(source)) || await this.fileExists(dest)) continue;
+
+        await fsPromises.mkdir(path.dirname(dest), { recursive: true });
+        let mode = 'symlink';
+        if (options.copy) {
+          mode = 'copy';
+        } else {
+          try {
+            await fsPromises.symlink(source, dest, 'junction');
+          } catch (error) {
+            mode = 'copy'; // e.g. no symlink permission on Windows
+          }
+        }
+        if (mode === 'copy') {
+          await fsPromises.cp(source, dest, { recursive: true });
+        }
+        linked.push({ path: entry, mode });
+      }
+
+      const { spawn } = await import('child_process');
+      const startedAt = Date.now();
+
+      const run = await new Promise((resolve) => {
+        const output = { stdout: '', stderr: '' };
+        let timedOut = false;
+
+        const child = spawn(command, args, {
+          cwd: workDir,
+          env: { ...process.env, CLAUDEPOINT_EXEC: checkpoint.name },
+          stdio: ['inherit', 'pipe', 'pipe'],
+          // options.shell runs a single command string; npm, npx etc. are .cmd shims on Windows
+          shell: options.shell || process.platform === 'win32'
+        });
+
+        // Ctrl+C reaches the child directly - stay alive long enough to clean up
+        const ignoreInterrupt = () => {};
+        process.on('SIGINT', ignoreInterrupt);
+
+        const capture = (stream, name, target) => {
+          stream.on('data', (chunk) => {
+            if (options.stream) target.write(chunk);
+            output[name] = (output[name] + chunk.toString()).slice(-MAX_EXEC_OUTPUT_CHARS);
+          });
+        };
+        capture(child.stdout, 'stdout', process.stdout);
+        capture(child.stderr, 'stderr', process.stderr);
+
+        const timer = options.timeout > 0
+          ? setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGTERM');
+          }, options.timeout * 1000)
+          : null;
+
+        const finish = (result) => {
+          if (timer) clearTimeout(timer);
+          process.removeListener('SIGINT', ignoreInterrupt);
+          resolve({ ...output, timedOut, ...result });
+        };
+
+        child.on('close', (code, signal) => finish({ exitCode: code, signal }));
+        child.on('error', (error) => finish({ exitCode: null, error: error.message }));
+      });
+
+      if (run.error) {
+        throw new Error(`Failed to run ${command}: ${run.error}`);
+      }
+
+      const commandLine = [command, ...args].join(' ');
+      if (options.log !== false) {
+        await this.logToChangelog('EXEC_CLAUDEPOINT', `Ran "${commandLine}" against claudepoint: ${checkpoint.name}`, `Exit code ${run.exitCode ?? run.signal}${run.timedOut ? ' (timed out)' : ''}`);
+      }
+
+      return {
+        success: true,
+        name: checkpoint.name,
+        command: commandLine,
+        exitCode: run.exitCode,
+        signal: run.signal,
+        timedOut: run.timedOut,
+        passed: run.exitCode === 0,
+        stdout: run.stdout,
+        stderr: run.stderr,
+        durationMs: Date.now() - startedAt,
+        linked,
+        workDir: options.keep ? workDir : null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        workDir: options.keep ? workDir : null
+      };
+    } finally {
+      if (workDir && !options.keep) {
+        // Removes the symlinks themselves, never what they point to
+        await fsPromises.rm(workDir, { recursive: true, force: true });
+      }
     }
   }
 
-  async buildCheckpointChain(targetCheckpoint) {
-    const chain = [];
-    const checkpoints = await this.getCheckpoints();
-    const checkpointMap = new Map(checkpoints.map(cp => [cp.name, cp]));
+  // 🔀 NEW: Binary search the timeline for the first claudepoint where a command fails.
+  // Only full-tree checkpoints take part - scoped ones and emergency backups aren't points
+  // on the edit timeline. options.good / options.bad narrow the range (default: oldest / newest).
+  async bisectCheckpoints(command, options = {}) {
+    try {
+      const all = await this.getCheckpoints();
+      const timeline = all
+        .filter(cp => !cp.scope && this.getCheckpointOrigin(cp) !== 'emergency')
+        .reverse();
+
+      const indexOf = async (reference, fallback) => {
+        if (!reference) return fallback;
+        const checkpoint = await this.resolveCheckpoint(reference, all);
+        const index = timeline.findIndex(cp => cp.name === checkpoint.name);
+        if (index === -1) {
+          throw new Error(`${checkpoint.name} is a scoped checkpoint or emergency backup and can't be bisected`);
+        }
+        return index;
+      };
 
-    let current = targetCheckpoint;
-    chain.unshift(current);
+      let good = await indexOf(options.good, 0);
+      let bad = await indexOf(options.bad, timeline.length - 1);
+      if (good >= bad) {
+        throw new Error('Need at least two claudepoints, with the good one older than the bad one');
+      }
 
-    // Walk backwards through the chain
-    while (current.type === 'INCREMENTAL' && current.baseCheckpoint) {
-      const baseCheckpoint = checkpointMap.get(current.baseCheckpoint);
-      if (!baseCheckpoint) {
-        throw new Error(`Missing base checkpoint: ${current.baseCheckpoint}`);
+      const steps = [];
+      const test = async (index) => {
+        const checkpoint = timeline[index];
+        options.onStep?.({ phase: 'start', checkpoint: checkpoint.name });
+
+        const result = await this.execInCheckpoint(checkpoint.name, command, [], {
+          shell: true,
+          link: options.link,
+          timeout: options.timeout,
+          stream: options.stream,
+          log: false
+        });
+        if (!result.success) {
+          throw new Error(`Could not test ${checkpoint.name}: ${result.error}`);
+        }
+
+        const step = {
+          checkpoint: checkpoint.name,
+          passed: result.passed,
+          exitCode: result.exitCode,
+          timedOut: result.timedOut,
+          output: `${result.stdout}${result.stderr}`.split('\n').slice(-20).join('\n')
+        };
+        steps.push(step);
+        options.onStep?.({ phase: 'done', ...step });
+        return step;
+      };
+
+      // Check both ends first - otherwise there is nothing to search between them
+      const badStep = await test(bad);
+      if (badStep.passed) {
+        throw new Error(`"${command}" passes on ${timeline[bad].name} - nothing to bisect`);
       }
+      let firstBadStep = badStep;
 
-      chain.unshift(baseCheckpoint);
-      current = baseCheckpoint;
-    }
+      const goodStep = await test(good);
+      if (!goodStep.passed) {
+        await this.logToChangelog('BISECT', `Bisect "${command}": already failing on ${timeline[good].name}`, `${steps.length} claudepoints tested`);
+        return {
+          success: true,
+          command,
+          alreadyFailing: true,
+          firstBad: timeline[good].name,
+          lastGood: null,
+          steps,
+          output: goodStep.output,
+          changes: null
+        };
+      }
 
-    // Ensure we have a full checkpoint at the base
-    if (chain[0].type !== 'FULL' && !chain[0].type) {
-      throw new Error('Checkpoint chain does not start with a full checkpoint');
+      while (bad - good > 1) {
+        const mid = Math.floor((good + bad) / 2);
+        const step = await test(mid);
+        if (step.passed) {
+          good = mid;
+        } else {
+          bad = mid;
+          firstBadStep = step;
+        }
+      }
+
+      const lastGood = timeline[good].name;
+      const firstBad = timeline[bad].name;
+      const comparison = await this.compareCheckpoints(lastGood, firstBad);
+      const changes = comparison.success
+        ? { added: comparison.added, modified: comparison.modified, deleted: comparison.deleted }
+        : null;
+
+      await this.logToChangelog('BISECT', `Bisect "${command}": first failing claudepoint is ${firstBad}`, `Last good: ${lastGood} // ${steps.length} claudepoints tested`);
+
+      return {
+        success: true,
+        command,
+        alreadyFailing: false,
+        firstBad,
+        lastGood,
+        steps,
+        output: firstBadStep.output,
+        changes,
+        changesError: comparison.success ? null : comparison.error
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
     }
+  }
 
-    return chain;
+  async planRestore(checkpoint, filter = null) {
+    const currentFiles = await this.getProjectFiles();
+    const checkpointFiles = new Set(checkpoint.files);
+    const inScope = (file) => !filter || filter(file);
+
+    return {
+      filesToRestore: checkpoint.files.filter(inScope),
+      filesToDelete: currentFiles.filter(file => inScope(file) && !checkpointFiles.has(file))
+    };
   }
 
-  async applyIncrementalChanges(checkpoint) {
-    const checkpointPath = path.join(this.snapshotsDir, checkpoint.name);
-    const changes = checkpoint.changes;
+  // 🔒 Transactional restore: stage the checkpoint's files in .claudepoint/staging, then
+  // swap them into the project. Nothing in the project is touched until staging succeeded.
+  // options.base switches to a three-way merge against that checkpoint (see mergeStagedFiles).
+  async applyRestore(checkpoint, filter = null, options = {}) {
+    let plan = await this.planRestore(checkpoint, filter);
+    // Inside the project so the final renames stay on one filesystem
+    const stagingDir = path.join(this.checkpointDir, 'staging', `${checkpoint.name}_${process.pid}_${Date.now()}`);
+    const baseDir = `${stagingDir}_base`;
 
-    if (!changes) {
-      return; // No changes to apply
-    }
+    try {
+      await fsPromises.mkdir(stagingDir, { recursive: true });
+      await this.materializeCheckpoint(checkpoint, stagingDir, filter);
+
+      const missing = [];
+      for (const file of plan.filesToRestore) {
+        if (!(await this.fileExists(path.join(stagingDir, file)))) {
+          missing.push(file);
+        }
+      }
+      if (missing.length > 0) {
+        throw new Error(`Checkpoint ${checkpoint.name} is incomplete - missing ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ` and ${missing.length - 5} more` : ''}`);
+      }
 
-    // Apply added files
-    if (changes.added && changes.added.length > 0) {
-      const addedDir = path.join(checkpointPath, 'added');
-      for (const file of changes.added) {
-        const srcPath = path.join(addedDir, file);
-        const destPath = path.join(this.projectRoot, file);
+      if (options.base) {
+        await fsPromises.mkdir(baseDir, { recursive: true });
+        await this.materializeCheckpoint(options.base, baseDir, filter);
+        plan = await this.mergeStagedFiles(checkpoint, options.base, stagingDir, baseDir, plan);
+      }
 
-        // Ensure destination directory exists
-        await fsPromises.mkdir(path.dirname(destPath), { recursive: true });
+      if (options.dryRun) {
+        return plan;
+      }
 
-        try {
-          await fsPromises.copyFile(srcPath, destPath);
-        } catch (error) {
-          // Source file might be missing, skip
+      // Swap - from here on a failure leaves the project partially restored
+      try {
+        for (const file of plan.filesToDelete) {
+          try {
+            await fsPromises.unlink(path.join(this.projectRoot, file));
+          } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+          }
+        }
+
+        for (const file of plan.filesToRestore) {
+          const destPath = path.join(this.projectRoot, file);
+          await fsPromises.mkdir(path.dirname(destPath), { recursive: true });
+          await fsPromises.rename(path.join(stagingDir, file), destPath);
         }
+      } catch (error) {
+        error.projectModified = true;
+        throw error;
       }
+
+      return plan;
+    } finally {
+      await fsPromises.rm(stagingDir, { recursive: true, force: true });
+      await fsPromises.rm(baseDir, { recursive: true, force: true });
     }
+  }
 
-    // Apply modified files
-    if (changes.modified && changes.modified.length > 0) {
-      const modifiedDir = path.join(checkpointPath, 'modified');
-      for (const file of changes.modified) {
-        const srcPath = path.join(modifiedDir, file);
-        const destPath = path.join(this.projectRoot, file);
+  // 🔀 Three-way merge of the staged checkpoint files with the working tree.
+  // Base is the checkpoint the current edits were made on top of: whatever changed between
+  // base and the working tree is kept, whatever differs between base and checkpoint is undone.
+  // Rewrites staged files in place and returns a plan that only touches what has to change.
+  async mergeStagedFiles(checkpoint, base, stagingDir, baseDir, plan) {
+    const checkpointFiles = new Set(plan.filesToRestore);
+    const baseFiles = new Set(base.files);
+    const currentFiles = new Set(await this.getProjectFiles());
+    const inScope = new Set([...plan.filesToRestore, ...plan.filesToDelete]);
 
-        // Ensure destination directory exists
-        await fsPromises.mkdir(path.dirname(destPath), { recursive: true });
+    const readIf = async (exists, filePath) => (exists ? await fsPromises.readFile(filePath) : null);
+    const same = (x, y) => (x === null || y === null ? x === y : x.equals(y));
 
-        try {
-          await fsPromises.copyFile(srcPath, destPath);
-        } catch (error) {
-          // Source file might be missing, skip
+    const result = {
+      filesToRestore: [],
+      filesToDelete: [],
+      merged: [],
+      kept: [],
+      conflicts: []
+    };
+
+    for (const file of inScope) {
+      const ours = await readIf(currentFiles.has(file), path.join(this.projectRoot, file));
+      const theirs = await readIf(checkpointFiles.has(file), path.join(stagingDir, file));
+      const original = await readIf(baseFiles.has(file), path.join(baseDir, file));
+
+      if (same(ours, theirs)) continue;
+
+      // Untouched since base - take the checkpoint's version
+      if (same(ours, original)) {
+        if (theirs === null) {
+          result.filesToDelete.push(file);
+        } else {
+          result.filesToRestore.push(file);
         }
+        continue;
       }
-    }
 
-    // Apply deleted files
-    if (changes.deleted && changes.deleted.length > 0) {
-      for (const file of changes.deleted) {
-        const filePath = path.join(this.projectRoot, file);
-        try {
-          await fsPromises.unlink(filePath);
-        } catch (error) {
-          // File might already be deleted, continue
+      // Checkpoint agrees with base - the local edit wins
+      if (same(theirs, original)) {
+        result.kept.push(file);
+        continue;
+      }
+
+      // Both sides changed the file
+      if (ours === null) {
+        // Deleted locally but changed in the checkpoint - bring it back so nothing is lost
+        result.filesToRestore.push(file);
+        result.conflicts.push({ file, type: 'deleted-locally' });
+      } else if (theirs === null) {
+        result.kept.push(file);
+        result.conflicts.push({ file, type: 'deleted-in-checkpoint' });
+      } else if ([ours, theirs, original].some(content => content && this.isBinaryContent(content))) {
+        result.kept.push(file);
+        result.conflicts.push({ file, type: 'binary' });
+      } else {
+        const merge = this.mergeText(
+          original ? original.toString('utf8') : '',
+          ours.toString('utf8'),
+          theirs.toString('utf8'),
+          { oursLabel: 'current', theirsLabel: checkpoint.name }
+        );
+        await fsPromises.writeFile(path.join(stagingDir, file), merge.text);
+        result.filesToRestore.push(file);
+
+        if (merge.conflicts > 0) {
+          result.conflicts.push({ file, type: 'content', count: merge.conflicts });
+        } else {
+          result.merged.push(file);
         }
       }
     }
+
+    return result;
   }
 
-  async getCheckpoints() {
+  // 🛟 Put the project back the way the emergency backup captured it
+  async rollbackRestore(emergencyBackupName) {
     try {
-      await this.ensureDirectories();
-      const entries = await fsPromises.readdir(this.snapshotsDir, { withFileTypes: true });
-      const checkpoints = [];
+      const checkpoints = await this.getCheckpoints();
+      const backup = checkpoints.find(cp => cp.name === emergencyBackupName);
 
-      for (const entry of entries) {
-        if (entry.isDirectory()) {
-          const manifestPath = path.join(this.snapshotsDir, entry.name, 'manifest.json');
-          try {
-            const manifestData = await fsPromises.readFile(manifestPath, 'utf8');
-            const manifest = JSON.parse(manifestData);
-            checkpoints.push(manifest);
-          } catch (error) {
-            // Skip invalid checkpoints
-          }
-        }
+      if (!backup) {
+        return {
+          success: false,
+          error: `Emergency backup not found: ${emergencyBackupName}`
+        };
       }
 
-      return checkpoints.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      // A scoped backup (from a selective restore) only rolls back its own files
+      const filter = backup.scope ? this.createPathFilter(backup.scope) : null;
+      await this.applyRestore(backup, filter);
+      await this.cleanupEmptyDirectories();
+
+      return { success: true };
     } catch (error) {
-      return [];
+      return {
+        success: false,
+        error: error.message
+      };
     }
   }
 
-  async cleanupOldCheckpoints() {
-    const config = await this.loadConfig();
-    const checkpoints = await this.getCheckpoints();
-    const toDelete = [];
+  // 📦 Write the files of any checkpoint into targetDir, following incremental chains.
+  // Each file is taken from the newest checkpoint in the chain that stored it.
+  async materializeCheckpoint(checkpoint, targetDir, filter = null) {
+    const chain = await this.buildCheckpointChain(checkpoint);
+    const remaining = new Set(checkpoint.files.filter(file => !filter || filter(file)));
 
-    // Age-based cleanup (if maxAge > 0)
-    if (config.maxAge > 0) {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - config.maxAge);
+    for (let i = chain.length - 1; i >= 0 && remaining.size > 0; i--) {
+      const source = chain[i];
 
-      for (const checkpoint of checkpoints) {
-        const checkpointDate = new Date(checkpoint.timestamp);
-        if (checkpointDate < cutoffDate) {
-          toDelete.push(checkpoint);
+      if (source.type === 'INCREMENTAL') {
+        const stored = [...(source.changes?.added || []), ...(source.changes?.modified || [])]
+          .filter(file => remaining.has(file));
+
+        for (const file of stored) {
+          await this.writeIncrementalFile(source, file, path.join(targetDir, file));
+          remaining.delete(file);
         }
+      } else {
+        const wanted = new Set(remaining);
+        await this.extractCheckpointFiles(source, targetDir, (file) => wanted.has(file));
+        remaining.clear();
       }
     }
+  }
 
-    // Count-based cleanup (keep only maxCheckpoints newest)
-    const remainingAfterAge = checkpoints.filter(cp => !toDelete.includes(cp));
-    if (remainingAfterAge.length > config.maxCheckpoints) {
-      const excessCheckpoints = remainingAfterAge.slice(config.maxCheckpoints);
-      toDelete.push(...excessCheckpoints);
+  async writeIncrementalFile(checkpoint, file, destPath) {
+    if (this.usesObjectStore(checkpoint)) {
+      await this.writeStoredFile(checkpoint, file, destPath);
+      return;
     }
 
-    // Delete old checkpoints
-    for (const checkpoint of toDelete) {
-      const checkpointPath = path.join(this.snapshotsDir, checkpoint.name);
-      try {
-        await fsPromises.rm(checkpointPath, { recursive: true, force: true });
-      } catch (error) {
-        // Continue on error
-      }
+    const subdir = checkpoint.changes?.added?.includes(file) ? 'added' : 'modified';
+    const srcPath = path.join(this.snapshotsDir, checkpoint.name, subdir, file);
+    await fsPromises.mkdir(path.dirname(destPath), { recursive: true });
+    await fsPromises.copyFile(srcPath, destPath);
+  }
+
+  // 📦 Write a checkpoint's files into targetDir - from the object store, or from
+  // files.tar.gz for checkpoints created before the object store existed
+  async extractCheckpointFiles(checkpoint, targetDir, filter = null) {
+    if (!this.usesObjectStore(checkpoint)) {
+      const tarPath = path.join(this.snapshotsDir, checkpoint.name, 'files.tar.gz');
+      await tar.extract({
+        file: tarPath,
+        cwd: targetDir,
+        ...(filter ? { filter: (entryPath) => filter(entryPath) } : {})
+      });
+      return;
+    }
+
+    for (const file of checkpoint.files) {
+      if (filter && !filter(file)) continue;
+      await this.writeStoredFile(checkpoint, file, path.join(targetDir, file));
     }
   }
 
-  async cleanupEmptyDirectories() {
-    const walkAndClean = async (dir) => {
-      try {
-        const entries = await fsPromises.readdir(dir, { withFileTypes: true });
+  async writeStoredFile(checkpoint, file, destPath) {
+    const hash = checkpoint.fileHashes?.[file];
+    if (!hash) {
+      throw new Error(`No stored content for ${file} in ${checkpoint.name}`);
+    }
 
-        for (const entry of entries) {
-          if (entry.isDirectory()) {
-            const fullPath = path.join(dir, entry.name);
-            await walkAndClean(fullPath);
+    const content = await this.readObject(hash);
+    await fsPromises.mkdir(path.dirname(destPath), { recursive: true });
+    await fsPromises.writeFile(destPath, content);
 
-            // Try to remove if empty
+    const mode = checkpoint.fileModes?.[file];
+    if (mode) {
+      await fsPromises.chmod(destPath, mode);
+    }
+  }
+
+  async buildCheckpointChain(targetCheckpoint) {
+    const chain = [];
+    const checkpoints = await this.getCheckpoints();
+    const checkpointMap = new Map(checkpoints.map(cp => [cp.name, cp]));
+
+    let current = targetCheckpoint;
+    chain.unshift(current);
+
+    // Walk backwards through the chain
+    while (current.type === 'INCREMENTAL' && current.baseCheckpoint) {
+      const baseCheckpoint = checkpointMap.get(current.baseCheckpoint);
+      if (!baseCheckpoint) {
+        throw new Error(`Missing base checkpoint: ${current.baseCheckpoint}`);
+      }
+
+      chain.unshift(baseCheckpoint);
+      current = baseCheckpoint;
+    }
+
+    // Ensure we have a full checkpoint at the base
+    if (chain[0].type === 'INCREMENTAL') {
+      throw new Error('Checkpoint chain does not start with a full checkpoint');
+    }
+
+    return chain;
+  }
+
+  async getCheckpoints() {
+    try {
+      await this.ensureDirectories();
+      const entries = await fsPromises.readdir(this.snapshotsDir, { withFileTypes: true });
+      const checkpoints = [];
+
+      for (const entry of entries) {
+        if (entry.isDirectory()) {
+          const manifestPath = path.join(this.snapshotsDir, entry.name, 'manifest.json');
+          try {
+            const manifestData = await fsPromises.readFile(manifestPath, 'utf8');
+            const manifest = JSON.parse(manifestData);
+            checkpoints.push(manifest);
+          } catch (error) {
+            // Skip invalid checkpoints
+          }
+        }
+      }
+
+      return checkpoints.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // 🎯 Resolve a checkpoint reference to a manifest. Throws when nothing or more than one matches.
+  // Accepts, in order:
+  //   exact name            stable_2025-01-15T10-30-00
+  //   <ref>~N               @~2 (two before the newest), stable~1 (the one before stable)
+  //   list number           3 or #3 - as numbered by `claudepoint list`
+  //   time                  @{10 minutes ago}, @{yesterday}, 2025-01-15T10:30 - newest at or before it
+  //                         (a bare date like 2025-01-15 is still matched against names)
+  //   tag                   release-1.0
+  //   partial name          stable - must identify a single checkpoint
+  async resolveCheckpoint(ref, checkpoints = null) {
+    checkpoints = checkpoints || await this.getCheckpoints();
+    const reference = String(ref ?? '').trim();
+
+    if (!reference) {
+      throw new Error('No checkpoint reference given');
+    }
+    if (checkpoints.length === 0) {
+      throw new Error(`Checkpoint not found: ${reference} (the vault is empty)`);
+    }
+
+    const exact = checkpoints.find(cp => cp.name === reference);
+    if (exact) return exact;
+
+    // @, @~2, stable~1
+    const offset = reference.match(/^(.*)~(\d*)$/);
+    if (offset) {
+      const base = offset[1] === '' || offset[1] === '@'
+        ? checkpoints[0]
+        : await this.resolveCheckpoint(offset[1], checkpoints);
+      const steps = offset[2] === '' ? 1 : parseInt(offset[2], 10);
+      const index = checkpoints.indexOf(base) + steps;
+      if (index >= checkpoints.length) {
+        throw new Error(`Checkpoint not found: ${reference} (only ${checkpoints.length - checkpoints.indexOf(base) - 1} older than ${base.name})`);
+      }
+      return checkpoints[index];
+    }
+    if (reference === '@') return checkpoints[0];
+
+    // #3 is always a list number
+    const listNumber = reference.match(/^#(\d+)$/);
+    if (listNumber) {
+      const number = parseInt(listNumber[1], 10);
+      if (number < 1 || number > checkpoints.length) {
+        throw new Error(`Checkpoint not found: #${number} (the list has ${checkpoints.length} entries)`);
+      }
+      return checkpoints[number - 1];
+    }
+
+    // A bare number within the list is a list number. Beyond it, it can still be part of a
+    // name (release-2026) or a timestamp prefix (2025, 20251019) - only the parts of a name
+    // someone chose count, not the timestamps embedded in it
+    if (/^\d+$/.test(reference)) {
+      const number = parseInt(reference, 10);
+      if (number >= 1 && number <= checkpoints.length) {
+        return checkpoints[number - 1];
+      }
+
+      const matches = checkpoints.filter(cp =>
+        this.getCheckpointLabel(cp.name).includes(reference) ||
+        (reference.length >= 4 && cp.timestamp && cp.timestamp.replace(/\D/g, '').startsWith(reference)));
+      if (matches.length === 1) return matches[0];
+      if (matches.length > 1) throw this.ambiguousReferenceError(reference, matches);
+    }
+
+    const timeSpec = reference.match(/^@\{(.+)\}$/)?.[1] ||
+      (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(reference) ? reference : null);
+    if (timeSpec) {
+      const time = this.parseTimeReference(timeSpec);
+      if (time === null) {
+        throw new Error(`Unrecognized time "${timeSpec}" - try "10 minutes ago", "yesterday" or an ISO timestamp`);
+      }
+      const atOrBefore = checkpoints.find(cp => new Date(cp.timestamp).getTime() <= time);
+      if (!atOrBefore) {
+        throw new Error(`Checkpoint not found: no claudepoint at or before ${new Date(time).toLocaleString()}`);
+      }
+      return atOrBefore;
+    }
+
+    const tagged = checkpoints.filter(cp => cp.tags?.includes(reference));
+    if (tagged.length === 1) return tagged[0];
+    if (tagged.length > 1) throw this.ambiguousReferenceError(reference, tagged);
+
+    const partial = checkpoints.filter(cp => cp.name.includes(reference));
+    if (partial.length === 1) return partial[0];
+    if (partial.length > 1) {
+      // "stable" names stable_<timestamp> rather than unstable_<timestamp> or stable-v2_<timestamp>
+      const named = partial.filter(cp => this.getCheckpointBaseName(cp.name) === reference);
+      if (named.length === 1) return named[0];
+      throw this.ambiguousReferenceError(reference, named.length > 1 ? named : partial);
+    }
+
+    throw new Error(`Checkpoint not found: ${reference}`);
+  }
+
+  ambiguousReferenceError(reference, candidates) {
+    const shown = candidates.slice(0, 10)
+      .map(cp => `  - ${cp.name} (${new Date(cp.timestamp).toLocaleString()})`)
+      .join('\n');
+    const more = candidates.length > 10 ? `\n  ... and ${candidates.length - 10} more` : '';
+    const error = new Error(
+      `Ambiguous checkpoint reference "${reference}" matches ${candidates.length} claudepoints:\n${shown}${more}\n` +
+      'Use the full name, a list number (#N) or @~N.'
+    );
+    error.candidates = candidates.map(cp => cp.name);
+    return error;
+  }
+
+  // The user-chosen part of a name: every embedded timestamp removed, e.g.
+  // emergency_backup_<ts>_<ts> -> emergency_backup
+  getCheckpointLabel(name) {
+    return name.replace(/_?\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(_\d+)?/g, '');
+  }
+
+  // The name a checkpoint was created with, without the timestamp (and _2 style) suffix
+  getCheckpointBaseName(name) {
+    return name.replace(/_\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(_\d+)?$/, '');
+  }
+
+  // ⏱️ "10 minutes ago", "2 hours ago", "yesterday", "now" or anything Date can parse -> epoch ms
+  parseTimeReference(text, now = Date.now()) {
+    const spec = text.trim().toLowerCase();
+    const units = {
+      s: 1000, sec: 1000, second: 1000,
+      m: 60000, min: 60000, minute: 60000,
+      h: 3600000, hr: 3600000, hour: 3600000,
+      d: 86400000, day: 86400000,
+      w: 604800000, week: 604800000
+    };
+
+    if (spec === 'now') return now;
+    if (spec === 'yesterday') return now - units.day;
+
+    const relative = spec.match(/^(\d+(?:\.\d+)?)\s*([a-z]+?)s?\s+ago$/);
+    if (relative) {
+      const unit = units[relative[2]];
+      return unit ? now - parseFloat(relative[1]) * unit : null;
+    }
+
+    const parsed = Date.parse(text.trim());
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  async cleanupOldCheckpoints(options = {}) {
+    const config = await this.loadConfig();
+    // Emergency backups that redo can still return to are kept like pinned ones - and so are
+    // the session start checkpoints `restore --session-start` needs for the newest sessions
+    const redoTargets = new Set((await this.loadRestoreHistory()).map(entry => entry.emergencyBackup));
+    const allCheckpoints = await this.getCheckpoints();
+    const sessionStarts = new Set(allCheckpoints
+      .filter(cp => cp.session?.start && !cp.scope)
+      .slice(0, MAX_KEPT_SESSION_STARTS)
+      .map(cp => cp.name));
+    const checkpoints = allCheckpoints
+      .map(cp => (redoTargets.has(cp.name) || sessionStarts.has(cp.name) ? { ...cp, pinned: true } : cp));
+    const plan = this.planCleanup(checkpoints, config);
+
+    // 💽 Storage quota runs last, on whatever the count/age rules left behind
+    if (config.maxStorageBytes > 0) {
+      plan.push(...await this.planStorageCleanup(checkpoints, plan, config.maxStorageBytes));
+    }
+
+    if (options.dryRun) {
+      return { dryRun: true, removed: plan, kept: checkpoints.length - plan.length };
+    }
+
+    // Delete old checkpoints
+    for (const { checkpoint } of plan) {
+      const checkpointPath = path.join(this.snapshotsDir, checkpoint.name);
+      try {
+        await fsPromises.rm(checkpointPath, { recursive: true, force: true });
+      } catch (error) {
+        // Continue on error
+      }
+    }
+
+    // Drop objects no surviving checkpoint refers to
+    if (plan.length > 0) {
+      await this.collectGarbage();
+    }
+
+    return { dryRun: false, removed: plan, kept: checkpoints.length - plan.length };
+  }
+
+  // 🧹 Decide which checkpoints cleanup removes. Returns [{ checkpoint, reason }]
+  planCleanup(checkpoints, config, now = Date.now()) {
+    const toDelete = [];
+
+    // 📌 Pinned checkpoints are never deleted and don't count against maxCheckpoints
+    const candidates = checkpoints.filter(cp => !cp.pinned);
+
+    // 🏷️ Origins with their own limits form separate pools, so a burst of hook
+    // checkpoints can't evict the ones a human named
+    const shared = [];
+    const pools = new Map();
+    for (const checkpoint of candidates) {
+      const origin = this.getCheckpointOrigin(checkpoint);
+      let pool = this.getOriginLimits(origin, config);
+      // 🎯 Targeted hook checkpoints come one per edit with no cooldown - counted with the full
+      // ones they'd evict the whole-tree history they layer on, so they get a pool of their own
+      if (this.isTargetedCheckpoint(checkpoint)) {
+        pool = { key: `${pool?.key || origin}:targeted`, limits: pool?.limits || {} };
+      }
+      if (!pool) {
+        shared.push(checkpoint);
+      } else {
+        if (!pools.has(pool.key)) {
+          pools.set(pool.key, { limits: pool.limits, checkpoints: [] });
+        }
+        pools.get(pool.key).checkpoints.push(checkpoint);
+      }
+    }
+
+    for (const [key, pool] of pools) {
+      toDelete.push(...this.planLimitCleanup(pool.checkpoints, {
+        maxCheckpoints: pool.limits.maxCheckpoints ?? config.maxCheckpoints,
+        maxAge: pool.limits.maxAge ?? config.maxAge
+      }, now, ` (${key})`));
+    }
+
+    if (config.retention?.enabled) {
+      // 🗓️ Tiered retention decides on its own
+      const survivors = this.getRetentionSurvivors(shared, config.retention, now);
+      for (const checkpoint of shared) {
+        if (!survivors.has(checkpoint.name)) {
+          toDelete.push({ checkpoint, reason: 'retention' });
+        }
+      }
+    } else {
+      toDelete.push(...this.planLimitCleanup(shared, config, now));
+    }
+
+    // Never delete a base that a surviving incremental checkpoint still needs
+    const survivors = checkpoints.filter(cp => !toDelete.some(entry => entry.checkpoint === cp));
+    const requiredBases = this.getRequiredBases(checkpoints, survivors);
+    return toDelete
+      .filter(entry => !requiredBases.has(entry.checkpoint.name))
+      .sort((a, b) => new Date(b.checkpoint.timestamp) - new Date(a.checkpoint.timestamp));
+  }
+
+  // 💽 Evict the oldest unpinned checkpoints until the vault fits in maxStorageBytes.
+  // The newest checkpoint and bases still needed by survivors are never evicted.
+  async planStorageCleanup(checkpoints, plan, maxStorageBytes) {
+    const planned = new Set(plan.map(entry => entry.checkpoint.name));
+    let survivors = checkpoints.filter(cp => !planned.has(cp.name));
+
+    const snapshotSizes = new Map();
+    for (const checkpoint of checkpoints) {
+      const usage = await this.getDirectoryUsage(path.join(this.snapshotsDir, checkpoint.name));
+      snapshotSizes.set(checkpoint.name, usage.bytes);
+    }
+    const objectSizes = await this.getObjectSizes();
+
+    // Objects are shared, so evicting a checkpoint only frees the ones nobody else references
+    const objectsOf = (checkpoint) => this.usesObjectStore(checkpoint)
+      ? new Set(Object.values(checkpoint.fileHashes || {}))
+      : new Set();
+    const refCounts = new Map();
+    for (const checkpoint of survivors) {
+      for (const hash of objectsOf(checkpoint)) {
+        refCounts.set(hash, (refCounts.get(hash) || 0) + 1);
+      }
+    }
+
+    let usage = survivors.reduce((sum, cp) => sum + snapshotSizes.get(cp.name), 0);
+    for (const hash of refCounts.keys()) {
+      usage += objectSizes.get(hash) || 0;
+    }
+
+    const evicted = [];
+    while (usage > maxStorageBytes) {
+      const requiredBases = this.getRequiredBases(checkpoints, survivors);
+      const victim = survivors
+        .slice(1)
+        .reverse()
+        .find(cp => !cp.pinned && !requiredBases.has(cp.name));
+
+      if (!victim) break;
+
+      usage -= snapshotSizes.get(victim.name);
+      for (const hash of objectsOf(victim)) {
+        const count = refCounts.get(hash) - 1;
+        refCounts.set(hash, count);
+        if (count === 0) {
+          usage -= objectSizes.get(hash) || 0;
+        }
+      }
+
+      survivors = survivors.filter(cp => cp !== victim);
+      evicted.push({ checkpoint: victim, reason: 'maxStorageBytes' });
+    }
+
+    return evicted;
+  }
+
+  // 💽 NEW: Disk usage of the whole vault
+  async getVaultUsage() {
+    const snapshots = await this.getDirectoryUsage(this.snapshotsDir);
+    const objectSizes = await this.getObjectSizes();
+    const objectsBytes = [...objectSizes.values()].reduce((sum, size) => sum + size, 0);
+    const checkpoints = await this.getCheckpoints();
+    const config = await this.loadConfig();
+
+    return {
+      snapshotsBytes: snapshots.bytes,
+      objectsBytes,
+      objectCount: objectSizes.size,
+      totalBytes: snapshots.bytes + objectsBytes,
+      checkpointCount: checkpoints.length,
+      maxStorageBytes: config.maxStorageBytes
+    };
+  }
+
+  // 💽 Helper: Total size of the files below a directory
+  async getDirectoryUsage(dir) {
+    let bytes = 0;
+    let files = 0;
+
+    try {
+      const entries = await fsPromises.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          const usage = await this.getDirectoryUsage(fullPath);
+          bytes += usage.bytes;
+          files += usage.files;
+        } else {
+          bytes += (await fsPromises.stat(fullPath)).size;
+          files++;
+        }
+      }
+    } catch (error) {
+      // Missing directory - nothing stored yet
+    }
+
+    return { bytes, files };
+  }
+
+  // 💽 Helper: On-disk (compressed) size of every stored object, keyed by hash
+  async getObjectSizes() {
+    const sizes = new Map();
+
+    let prefixes = [];
+    try {
+      prefixes = await fsPromises.readdir(this.objectsDir, { withFileTypes: true });
+    } catch (error) {
+      return sizes;
+    }
+
+    for (const prefix of prefixes) {
+      if (!prefix.isDirectory()) continue;
+
+      const prefixDir = path.join(this.objectsDir, prefix.name);
+      for (const entry of await fsPromises.readdir(prefixDir)) {
+        try {
+          const stats = await fsPromises.stat(path.join(prefixDir, entry));
+          sizes.set(prefix.name + entry, stats.size);
+        } catch (error) {
+          // Removed concurrently
+        }
+      }
+    }
+
+    return sizes;
+  }
+
+  // 🧹 maxAge / maxCheckpoints rules for one pool of checkpoints (newest first)
+  planLimitCleanup(checkpoints, limits, now, label = '') {
+    const toDelete = [];
+
+    // Age-based cleanup (if maxAge > 0)
+    if (limits.maxAge > 0) {
+      const cutoffDate = new Date(now);
+      cutoffDate.setDate(cutoffDate.getDate() - limits.maxAge);
+
+      for (const checkpoint of checkpoints) {
+        const checkpointDate = new Date(checkpoint.timestamp);
+        if (checkpointDate < cutoffDate) {
+          toDelete.push({ checkpoint, reason: `maxAge${label}` });
+        }
+      }
+    }
+
+    // Count-based cleanup (keep only maxCheckpoints newest)
+    const remainingAfterAge = checkpoints.filter(cp => !toDelete.some(entry => entry.checkpoint === cp));
+    if (remainingAfterAge.length > limits.maxCheckpoints) {
+      const excessCheckpoints = remainingAfterAge.slice(limits.maxCheckpoints);
+      toDelete.push(...excessCheckpoints.map(checkpoint => ({ checkpoint, reason: `maxCheckpoints${label}` })));
+    }
+
+    return toDelete;
+  }
+
+  // 🏷️ Where a checkpoint came from: manual, mcp, setup, emergency or hook:<trigger>
+  getCheckpointOrigin(checkpoint) {
+    if (checkpoint.origin) {
+      return checkpoint.origin;
+    }
+
+    // Checkpoints created before origins were recorded
+    if (checkpoint.name.startsWith('emergency_backup')) {
+      return 'emergency';
+    }
+    if (checkpoint.description?.startsWith('Safety checkpoint before')) {
+      return 'hook';
+    }
+    return 'manual';
+  }
+
+  // 🎯 Targeted hook checkpoints only hold the files a tool was about to touch
+  isTargetedCheckpoint(checkpoint) {
+    return Boolean(checkpoint.targets && checkpoint.scope);
+  }
+
+  // 🏷️ `hook` matches every `hook:<trigger>` origin, anything else must match exactly
+  matchesOrigin(checkpoint, origin) {
+    const checkpointOrigin = this.getCheckpointOrigin(checkpoint);
+    return checkpointOrigin === origin || checkpointOrigin.startsWith(`${origin}:`);
+  }
+
+  // 🏷️ Limits for an origin's own pool - an exact `hook:<trigger>` entry wins over `hook`
+  getOriginLimits(origin, config) {
+    const originLimits = config.originLimits || {};
+    const family = origin.split(':')[0];
+
+    if (originLimits[origin]) {
+      return { key: origin, limits: originLimits[origin] };
+    }
+    if (originLimits[family]) {
+      return { key: family, limits: originLimits[family] };
+    }
+    return null;
+  }
+
+  // 🗓️ Grandfather-father-son: every checkpoint inside keepAllMinutes, then the newest
+  // one per hour/day/week bucket for the configured number of buckets
+  getRetentionSurvivors(checkpoints, retention, now = Date.now()) {
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+    // Shift to local time so day/week buckets follow the user's calendar
+    const localOffset = new Date(now).getTimezoneOffset() * 60 * 1000;
+    // Epoch day 0 was a Thursday - shift week buckets so they start on Monday
+    const WEEK_SHIFT = 3 * DAY;
+
+    const tiers = [
+      { count: retention.hourly, bucketOf: (time) => Math.floor((time - localOffset) / HOUR) },
+      { count: retention.daily, bucketOf: (time) => Math.floor((time - localOffset) / DAY) },
+      { count: retention.weekly, bucketOf: (time) => Math.floor((time - localOffset + WEEK_SHIFT) / (7 * DAY)) }
+    ];
+
+    const survivors = new Set();
+    const keepAllMs = (retention.keepAllMinutes || 0) * 60 * 1000;
+
+    for (const checkpoint of checkpoints) {
+      if (now - new Date(checkpoint.timestamp).getTime() <= keepAllMs) {
+        survivors.add(checkpoint.name);
+      }
+    }
+
+    for (const tier of tiers) {
+      if (!tier.count || tier.count <= 0) continue;
+
+      const currentBucket = tier.bucketOf(now);
+      const seenBuckets = new Set();
+
+      // Checkpoints are sorted newest first, so the first one seen in a bucket is its newest
+      for (const checkpoint of checkpoints) {
+        const bucket = tier.bucketOf(new Date(checkpoint.timestamp).getTime());
+        if (currentBucket - bucket >= tier.count || seenBuckets.has(bucket)) continue;
+
+        seenBuckets.add(bucket);
+        survivors.add(checkpoint.name);
+      }
+    }
+
+    return survivors;
+  }
+
+  // 📝 NEW: Rewrite a checkpoint's manifest in place
+  async updateManifest(checkpointName, update) {
+    const manifestPath = path.join(this.snapshotsDir, checkpointName, 'manifest.json');
+    const manifest = JSON.parse(await fsPromises.readFile(manifestPath, 'utf8'));
+
+    update(manifest);
+
+    // Write-then-rename so a crash never leaves a half-written manifest behind
+    const tempPath = `${manifestPath}.tmp`;
+    await fsPromises.writeFile(tempPath, JSON.stringify(manifest, null, 2));
+    await fsPromises.rename(tempPath, manifestPath);
+    return manifest;
+  }
+
+  // 📌 NEW: Pin or unpin a checkpoint - pinned checkpoints survive cleanup
+  async setPinned(checkpointName, pinned = true) {
+    try {
+      const checkpoints = await this.getCheckpoints();
+      const checkpoint = await this.resolveCheckpoint(checkpointName, checkpoints);
+
+      if (Boolean(checkpoint.pinned) === pinned) {
+        return {
+          success: true,
+          name: checkpoint.name,
+          pinned,
+          changed: false
+        };
+      }
+
+      await this.updateManifest(checkpoint.name, manifest => {
+        if (pinned) {
+          manifest.pinned = true;
+        } else {
+          delete manifest.pinned;
+        }
+      });
+
+      await this.logToChangelog(
+        pinned ? 'PIN_CLAUDEPOINT' : 'UNPIN_CLAUDEPOINT',
+        `${pinned ? 'Pinned' : 'Unpinned'} claudepoint: ${checkpoint.name}`,
+        pinned ? 'Protected from automatic cleanup' : 'Subject to automatic cleanup again'
+      );
+
+      return {
+        success: true,
+        name: checkpoint.name,
+        pinned,
+        changed: true
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // 🔖 NEW: Add and/or remove tags on a checkpoint
+  async updateTags(checkpointName, { add = [], remove = [] } = {}) {
+    try {
+      const checkpoints = await this.getCheckpoints();
+      const checkpoint = await this.resolveCheckpoint(checkpointName, checkpoints);
+      const toAdd = this.normalizeTags(add);
+      const toRemove = new Set(this.normalizeTags(remove));
+
+      const current = checkpoint.tags || [];
+      const tags = [...current.filter(tag => !toRemove.has(tag)), ...toAdd.filter(tag => !current.includes(tag))];
+      const added = tags.filter(tag => !current.includes(tag));
+      const removed = current.filter(tag => !tags.includes(tag));
+
+      if (added.length > 0 || removed.length > 0) {
+        await this.updateManifest(checkpoint.name, manifest => {
+          manifest.tags = tags;
+        });
+        await this.logToChangelog(
+          'TAG_CLAUDEPOINT',
+          `Updated tags of claudepoint: ${checkpoint.name}`,
+          [...added.map(tag => `+${tag}`), ...removed.map(tag => `-${tag}`)].join(' ')
+        );
+      }
+
+      // Tags double as references - say so when one now points at several checkpoints
+      const shared = added.filter(tag => checkpoints.some(cp => cp.name !== checkpoint.name && cp.tags?.includes(tag)));
+
+      return {
+        success: true,
+        name: checkpoint.name,
+        tags,
+        added,
+        removed,
+        shared
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // 📝 NEW: Replace (or append to) a checkpoint's free-form notes
+  async setNotes(checkpointName, notes, options = {}) {
+    try {
+      const checkpoint = await this.resolveCheckpoint(checkpointName);
+      const text = String(notes ?? '').trim();
+      const updated = options.append && checkpoint.notes
+        ? `${checkpoint.notes}\n${text}`
+        : text;
+
+      await this.updateManifest(checkpoint.name, manifest => {
+        manifest.notes = updated;
+      });
+      await this.logToChangelog(
+        'NOTE_CLAUDEPOINT',
+        `${updated ? 'Updated' : 'Cleared'} notes of claudepoint: ${checkpoint.name}`,
+        updated || null
+      );
+
+      return {
+        success: true,
+        name: checkpoint.name,
+        notes: updated
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // 🔖 Helper: Validate and de-duplicate tags ("a,b" splits into two).
+  // Anything resolveCheckpoint would read as another kind of reference is rejected.
+  normalizeTags(tags) {
+    const list = (Array.isArray(tags) ? tags : [tags])
+      .filter(tag => tag !== undefined && tag !== null)
+      .flatMap(tag => String(tag).split(','))
+      .map(tag => tag.trim())
+      .filter(Boolean);
+
+    for (const tag of list) {
+      if (/\s/.test(tag) || /^[@#]/.test(tag) || tag.includes('~') || /^\d+$/.test(tag) || /^\d{4}-\d{2}-\d{2}[T ]/.test(tag)) {
+        throw new Error(`Invalid tag "${tag}" - tags cannot contain spaces or "~", start with @ or #, be plain numbers or timestamps`);
+      }
+    }
+
+    return [...new Set(list)];
+  }
+
+  getRequiredBases(checkpoints, survivors) {
+    const checkpointMap = new Map(checkpoints.map(cp => [cp.name, cp]));
+    const required = new Set();
+
+    for (const survivor of survivors) {
+      let current = survivor;
+      while (current?.type === 'INCREMENTAL' && current.baseCheckpoint && !required.has(current.baseCheckpoint)) {
+        required.add(current.baseCheckpoint);
+        current = checkpointMap.get(current.baseCheckpoint);
+      }
+    }
+
+    return required;
+  }
+
+  async cleanupEmptyDirectories() {
+    const walkAndClean = async (dir) => {
+      try {
+        const entries = await fsPromises.readdir(dir, { withFileTypes: true });
+
+        for (const entry of entries) {
+          if (entry.isDirectory()) {
+            const fullPath = path.join(dir, entry.name);
+            await walkAndClean(fullPath);
+
+            // Try to remove if empty
+            try {
+              const remaining = await fsPromises.readdir(fullPath);
+              if (remaining.length === 0) {
+                await fsPromises.rmdir(fullPath);
+              }
+            } catch (error) {
+              // Directory not empty or other error, continue
+            }
+          }
+        }
+      } catch (error) {
+        // Can't read directory, continue
+      }
+    };
+
+    await walkAndClean(this.projectRoot);
+  }
+
+  formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unitIndex = 0;
+
+    while (size >= 1024 && unitIndex < units.length - 1) {
+      size /= 1024;
+      unitIndex++;
+    }
+
+    return `${size.toFixed(1)}${units[unitIndex]}`;
+  }
+
+  async logToChangelog(action, description, details = null) {
+    try {
+      let changelog = [];
+      try {
+        const changelogData = await fsPromises.readFile(this.changelogFile, 'utf8');
+        changelog = JSON.parse(changelogData);
+      } catch (error) {
+        // File doesn't exist yet, start with empty array
+      }
+
+      const entry = {
+        timestamp: new Date().toISOString(),
+        action,
+        description,
+        details
+      };
+
+      changelog.unshift(entry); // Add to beginning
+
+      // Keep only last 50 entries
+      if (changelog.length > 50) {
+        changelog = changelog.slice(0, 50);
+      }
+
+      await fsPromises.writeFile(this.changelogFile, JSON.stringify(changelog, null, 2));
+    } catch (error) {
+      // Don't fail the main operation if changelog fails
+      console.error('Warning: Could not update changelog:', error.message);
+    }
+  }
+
+  async getChangelog() {
+    try {
+      const changelogData = await fsPromises.readFile(this.changelogFile, 'utf8');
+      const changelog = JSON.parse(changelogData);
+
+      // Format timestamps for display
+      return changelog.map(entry => ({
+        ...entry,
+        timestamp: new Date(entry.timestamp).toLocaleString()
+      }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // 🎯 NEW: Get files changed since last claudepoint
+  async getChangedFilesSinceLastClaudepoint() {
+    try {
+      const checkpoints = await this.getCheckpoints();
+      const currentFiles = await this.getProjectFiles();
+
+      if (checkpoints.length === 0) {
+        return {
+          hasLastClaudepoint: false,
+          added: currentFiles,
+          modified: [],
+          deleted: [],
+          totalChanges: currentFiles.length
+        };
+      }
+
+      // Scoped checkpoints only cover part of the tree, compare against a whole one
+      const lastClaudepoint = checkpoints.find(cp => !cp.scope) || checkpoints[0];
+      const changes = await this.calculateChanges(currentFiles, lastClaudepoint.name);
+
+      return {
+        hasLastClaudepoint: true,
+        lastClaudepointName: lastClaudepoint.name,
+        lastClaudepointDate: new Date(lastClaudepoint.timestamp).toLocaleString(),
+        ...changes,
+        totalChanges: changes.added.length + changes.modified.length + changes.deleted.length
+      };
+    } catch (error) {
+      return {
+        error: error.message,
+        hasLastClaudepoint: false,
+        added: [],
+        modified: [],
+        deleted: [],
+        totalChanges: 0
+      };
+    }
+  }
+
+  // 🎮 NEW: Interactive configuration management
+  async getConfigurationStatus() {
+    const config = await this.loadConfig();
+    const checkpoints = await this.getCheckpoints();
+
+    const vault = await this.getVaultUsage();
+
+    return {
+      maxClaudepoints: config.maxCheckpoints,
+      maxAge: config.maxAge,
+      currentClaudepoints: checkpoints.length,
+      vaultBytes: vault.totalBytes,
+      vaultObjects: vault.objectCount,
+      maxStorageBytes: config.maxStorageBytes,
+      maxCheckpointBytes: config.maxCheckpointBytes,
+      // Effective limits of each origin pool, after falling back to the global ones
+      originPools: Object.entries(config.originLimits || {})
+        .filter(([, limits]) => limits)
+        .map(([origin, limits]) => ({
+          origin,
+          maxCheckpoints: limits.maxCheckpoints ?? config.maxCheckpoints,
+          maxAge: limits.maxAge ?? config.maxAge
+        })),
+      ignorePatterns: config.ignorePatterns.length + config.additionalIgnores.length,
+      autoName: config.autoName,
+      configPath: this.configFile
+    };
+  }
+
+  // 🚀 NEW: Quick undo - restore last claudepoint
+  async undoLastClaudepoint() {
+    try {
+      // Emergency backups are what redo returns to - undo never lands on one
+      const checkpoints = (await this.getCheckpoints())
+        .filter(cp => this.getCheckpointOrigin(cp) !== 'emergency');
+
+      if (checkpoints.length === 0) {
+        return {
+          success: false,
+          error: '🤔 No claudepoints found to undo. Create your first safety net!',
+          noClaudepoints: true
+        };
+      }
+
+      let target = checkpoints[0];
+
+      // Repeated undo steps further back, as long as no claudepoint was created since the last one
+      const [last] = await this.loadRestoreHistory();
+      if (last?.action === 'undo') {
+        const previous = checkpoints.find(cp => cp.name === last.restored);
+        const movedOn = checkpoints.some(cp => new Date(cp.timestamp) > new Date(last.timestamp));
+
+        if (previous && !movedOn) {
+          const older = checkpoints.filter(cp => new Date(cp.timestamp) < new Date(previous.timestamp));
+          if (older.length === 0) {
+            return {
+              success: false,
+              error: `🤔 Already at the oldest claudepoint (${previous.name}) - nothing further to undo`,
+              noOlderClaudepoints: true
+            };
+          }
+          target = older[0];
+        }
+      }
+
+      return await this.restore(target.name, false, { historyAction: 'undo' });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // ↪️ Return to the exact state before the last restore or undo
+  async redoLastRestore() {
+    try {
+      const history = await this.loadRestoreHistory();
+
+      if (history.length === 0) {
+        return {
+          success: false,
+          error: '🤔 Nothing to redo. Restore or undo something first!',
+          nothingToRedo: true
+        };
+      }
+
+      const [entry] = history;
+      const checkpoints = await this.getCheckpoints();
+
+      if (!checkpoints.some(cp => cp.name === entry.emergencyBackup)) {
+        await this.saveRestoreHistory(history.slice(1));
+        return {
+          success: false,
+          error: `Emergency backup ${entry.emergencyBackup} no longer exists (removed by cleanup) - cannot redo the ${entry.action} of ${entry.restored}`
+        };
+      }
+
+      const result = await this.restore(entry.emergencyBackup, false, { history: false, historyAction: 'redo' });
+      if (!result.success) {
+        return result;
+      }
+
+      await this.saveRestoreHistory((await this.loadRestoreHistory()).slice(1));
+      await this.logToChangelog('REDO', `Reverted ${entry.action} of claudepoint: ${entry.restored}`, `Back to: ${entry.emergencyBackup}`);
+
+      return {
+        ...result,
+        reverted: entry,
+        remaining: history.length - 1
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // 📜 history.json holds two lists, newest first:
+  //   entries - the redo stack: [{ action, restored, emergencyBackup, timestamp }]
+  //   applied - every restore, undo and redo with the files it wrote: [{ ..., after: { file: hash | null } }]
+  async loadHistoryFile() {
+    try {
+      const data = JSON.parse(await fsPromises.readFile(this.historyFile, 'utf8'));
+      return {
+        entries: Array.isArray(data.entries) ? data.entries : [],
+        applied: Array.isArray(data.applied) ? data.applied : []
+      };
+    } catch (error) {
+      return { entries: [], applied: [] };
+    }
+  }
+
+  async loadRestoreHistory() {
+    return (await this.loadHistoryFile()).entries;
+  }
+
+  async loadAppliedRestores() {
+    return (await this.loadHistoryFile()).applied;
+  }
+
+  async saveRestoreHistory(entries) {
+    const { applied } = await this.loadHistoryFile();
+    await fsPromises.writeFile(this.historyFile, JSON.stringify({ entries, applied }, null, 2));
+  }
+
+  // Only files whose content actually changed are kept, so a full restore doesn't store every hash
+  async recordAppliedRestore({ files, emergencyBackup, ...entry }) {
+    try {
+      const backup = (await this.getCheckpoints()).find(cp => cp.name === emergencyBackup);
+      const hashes = await this.calculateFileHashes(await this.getExistingFiles(files));
+      const after = {};
+      for (const file of files) {
+        const hash = hashes.get(file) || null;
+        if (hash !== (backup?.fileHashes?.[file] || null)) {
+          after[file] = hash;
+        }
+      }
+
+      const data = await this.loadHistoryFile();
+      data.applied.unshift({ ...entry, timestamp: new Date().toISOString(), after });
+      await fsPromises.writeFile(this.historyFile, JSON.stringify({
+        entries: data.entries,
+        applied: data.applied.slice(0, MAX_RESTORE_HISTORY)
+      }, null, 2));
+    } catch (error) {
+      console.error('Warning: Could not record restored files:', error.message);
+    }
+  }
+
+  async recordRestoreHistory(entry) {
+    try {
+      const history = await this.loadRestoreHistory();
+      history.unshift(entry);
+      await this.saveRestoreHistory(history.slice(0, MAX_RESTORE_HISTORY));
+    } catch (error) {
+      // Don't fail the restore if the history can't be written
+      console.error('Warning: Could not update restore history:', error.message);
+    }
+  }
+
+  // 🔒 Mask API keys, tokens, passwords and emails before text derived from Claude's input is stored
+  redactSecrets(text) {
+    if (typeof text !== 'string') return text;
+    return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+  }
+
+  // 💬 Checkpoint description for a user prompt: secrets redacted, whitespace collapsed, truncated
+  describePrompt(prompt, maxLength = 72) {
+    let text = this.redactSecrets(typeof prompt === 'string' ? prompt : '');
+    text = text.replace(/\s+/g, ' ').trim();
+
+    if (!text) {
+      return 'Before prompt';
+    }
+    if (text.length > maxLength) {
+      text = `${text.slice(0, maxLength - 1).trimEnd()}…`;
+    }
+    return `Before prompt: "${text}"`;
+  }
+
+  // 💬 NEW: Claude Code sessions seen by the hooks, newest first, with their checkpoint ranges
+  async getSessions() {
+    const checkpoints = await this.getCheckpoints();
+    const records = await this.loadToolChanges();
+    const sessions = new Map();
+
+    // getCheckpoints() is newest first, so walking it backwards meets each session's start first
+    for (const checkpoint of [...checkpoints].reverse()) {
+      const id = checkpoint.session?.id;
+      if (!id) continue;
+
+      if (!sessions.has(id)) {
+        sessions.set(id, {
+          id,
+          transcriptPath: checkpoint.session.transcriptPath || null,
+          checkpoints: [],
+          toolCalls: 0
+        });
+      }
+      sessions.get(id).checkpoints.push(checkpoint.name);
+      sessions.get(id).last = checkpoint.timestamp;
+      sessions.get(id).first = sessions.get(id).first || checkpoint.timestamp;
+    }
+
+    for (const record of records) {
+      if (record.sessionId && sessions.has(record.sessionId)) {
+        const session = sessions.get(record.sessionId);
+        session.toolCalls++;
+        if (record.timestamp > session.last) session.last = record.timestamp;
+      }
+    }
+
+    return [...sessions.values()].sort((a, b) => new Date(b.last) - new Date(a.last));
+  }
+
+  // Session ids are UUIDs - accept any unique prefix
+  async resolveSession(reference) {
+    const sessions = await this.getSessions();
+    const exact = sessions.find(session => session.id === reference);
+    if (exact) return exact;
+
+    const matches = sessions.filter(session => session.id.startsWith(reference));
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) {
+      throw new Error(`Ambiguous session "${reference}" matches ${matches.length} sessions: ${matches.map(session => session.id).join(', ')}`);
+    }
+    throw new Error(`No claudepoints from session ${reference} - run claudepoint sessions to see known sessions`);
+  }
+
+  // The checkpoint holding the tree as it was before a session changed anything: its
+  // session-start checkpoint, or for older sessions the newest full checkpoint up to its first one
+  async getSessionStart(reference) {
+    const session = await this.resolveSession(reference);
+    const checkpoints = await this.getCheckpoints();
+    const own = checkpoints.filter(cp => cp.session?.id === session.id).reverse();
+
+    const start = own.find(cp => cp.session.start && !cp.scope);
+    if (start) {
+      // A late start already contains the session's first tool call
+      return { session, checkpoint: start, exact: !start.session.late, late: Boolean(start.session.late) };
+    }
+
+    const firstTime = new Date(own[0].timestamp);
+    const before = checkpoints.find(cp => !cp.scope && new Date(cp.timestamp) <= firstTime);
+    if (!before) {
+      throw new Error(`Session ${session.id} has no full checkpoint to roll back to`);
+    }
+    // Exact only if that checkpoint is the session's own first one
+    return { session, checkpoint: before, exact: before.name === own[0].name };
+  }
+
+  // 🧾 NEW: Per-tool-call change records (PostToolUse hooks). Each record lists what one
+  // tool call added, modified or deleted, compared with the state the preceding checkpoint
+  // and the earlier records describe - so a call only claims its own changes.
+  async recordToolChange(call = {}) {
+    try {
+      await this.ensureDirectories();
+      const checkpoints = await this.getCheckpoints();
+      const records = await this.loadToolChanges();
+      const targets = call.targets ? this.normalizeTargets(call.targets) : [];
+      const expected = this.getExpectedState(checkpoints, records, await this.loadAppliedRestores());
+
+      // Tools that name their files only need those hashed; anything else means a full scan
+      let files;
+      let current;
+      if (targets.length > 0) {
+        files = targets;
+        current = await this.calculateFileHashes(await this.getExistingFiles(targets));
+      } else {
+        const projectFiles = await this.getProjectFiles();
+        files = [...new Set([...projectFiles, ...expected.keys()])];
+        current = await this.calculateFileHashes(projectFiles);
+      }
+
+      const changes = { added: [], modified: [], deleted: [] };
+      const after = {};
+      for (const file of files) {
+        const before = expected.get(file) || null;
+        const now = current.get(file) || null;
+        if (before === now) continue;
+
+        if (!before) {
+          changes.added.push(file);
+        } else if (!now) {
+          changes.deleted.push(file);
+        } else {
+          changes.modified.push(file);
+        }
+        after[file] = now;
+      }
+
+      const totalChanges = changes.added.length + changes.modified.length + changes.deleted.length;
+      if (totalChanges === 0) {
+        return { success: true, recorded: false, ...changes, totalChanges };
+      }
+
+      const record = {
+        id: crypto.randomBytes(4).toString('hex'),
+        timestamp: new Date().toISOString(),
+        tool: call.tool || 'unknown',
+        input: this.summarizeToolInput(call.input, targets),
+        ...(call.sessionId && { sessionId: call.sessionId }),
+        ...(call.toolUseId && { toolUseId: call.toolUseId }),
+        checkpoint: checkpoints[0]?.name || null,
+        // A full scan also picks up hand edits and unhooked tools since the last layer
+        ...(targets.length === 0 && { fullScan: true }),
+        added: changes.added.sort(),
+        modified: changes.modified.sort(),
+        deleted: changes.deleted.sort(),
+        after
+      };
+
+      records.unshift(record);
+      await this.saveToolChanges(records.slice(0, MAX_TOOL_CHANGES));
+
+      return { success: true, recorded: true, record, totalChanges };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // What the tree should look like now: the newest full checkpoint, overlaid (oldest first)
+  // with the targeted hook checkpoints, tool-call records and restores/undos/redos after it
+  getExpectedState(checkpoints, records, applied = []) {
+    const full = checkpoints.find(cp => !cp.scope);
+    const state = new Map(Object.entries(full?.fileHashes || {}));
+    const since = full ? new Date(full.timestamp) : new Date(0);
+
+    const layers = [
+      ...checkpoints
+        .filter(cp => this.isTargetedCheckpoint(cp) && new Date(cp.timestamp) >= since)
+        .map(cp => ({
+          timestamp: cp.timestamp,
+          after: Object.fromEntries(cp.targets.map(file => [file, cp.fileHashes?.[file] || null]))
+        })),
+      ...records.filter(record => new Date(record.timestamp) >= since),
+      ...applied.filter(entry => entry.after && new Date(entry.timestamp) >= since)
+    ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    for (const layer of layers) {
+      for (const [file, hash] of Object.entries(layer.after)) {
+        state.set(file, hash);
+      }
+    }
+    return state;
+  }
+
+  // One line describing a tool call: the Bash command, or the file plus what was done to it.
+  // Secrets are redacted before truncating, so a cut can't leave half a key behind
+  summarizeToolInput(input = {}, targets = []) {
+    const truncate = (text) => {
+      const redacted = this.redactSecrets(text);
+      return redacted.length > 200 ? `${redacted.slice(0, 197)}...` : redacted;
+    };
+    if (!input || typeof input !== 'object') {
+      return '';
+    }
+    if (typeof input.command === 'string') {
+      return truncate(input.command.replace(/\s+/g, ' ').trim());
+    }
+    if (targets.length > 0) {
+      const files = targets.length > 1 ? `${targets[0]} +${targets.length - 1} more` : targets[0];
+      if (Array.isArray(input.edits)) return `${files} (${input.edits.length} edits)`;
+      if (typeof input.content === 'string') return `${files} (${input.content.length} chars written)`;
+      return files;
+    }
+    return truncate(JSON.stringify(input));
+  }
+
+  // Newest first; options.file / options.tool filter, options.limit caps
+  async getToolChanges(options = {}) {
+    const file = options.file ? path.relative(this.projectRoot, path.resolve(this.projectRoot, options.file)) : null;
+    const records = (await this.loadToolChanges()).filter(record =>
+      (!options.tool || record.tool.toLowerCase() === options.tool.toLowerCase()) &&
+      (!file || [...record.added, ...record.modified, ...record.deleted].includes(file))
+    );
+    return options.limit > 0 ? records.slice(0, options.limit) : records;
+  }
+
+  async loadToolChanges() {
+    try {
+      const data = JSON.parse(await fsPromises.readFile(this.toolChangesFile, 'utf8'));
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async saveToolChanges(entries) {
+    await fsPromises.writeFile(this.toolChangesFile, JSON.stringify({ entries }, null, 2));
+  }
+
+  // 🔍 NEW: Extract checkpoint file for diff comparison
+  async extractCheckpointFile(checkpointName, filePath) {
+    try {
+      const checkpoints = await this.getCheckpoints();
+      const checkpoint = await this.resolveCheckpoint(checkpointName, checkpoints);
+
+      // Create temporary directory for extraction
+      const tempDir = path.join(os.tmpdir(), 'claudepoint-diff', checkpoint.name);
+      await fsPromises.mkdir(tempDir, { recursive: true });
+
+      if (checkpoint.type === 'FULL' || !checkpoint.type) {
+        // Extract specific file from full checkpoint
+        await this.extractCheckpointFiles(checkpoint, tempDir, (entryPath) => entryPath === filePath);
+
+        const extractedFile = path.join(tempDir, filePath);
+        if (await this.fileExists(extractedFile)) {
+          return extractedFile;
+        }
+      } else {
+        // Handle incremental checkpoint (reconstruct file state)
+        await this.reconstructFileFromIncrementalChain(checkpoint, filePath, tempDir);
+        const reconstructedFile = path.join(tempDir, filePath);
+        if (await this.fileExists(reconstructedFile)) {
+          return reconstructedFile;
+        }
+      }
+
+      // File not found in checkpoint - this means it's a new file
+      // Create an empty file for comparison
+      const emptyFile = path.join(tempDir, filePath);
+      await fsPromises.mkdir(path.dirname(emptyFile), { recursive: true });
+      await fsPromises.writeFile(emptyFile, '', 'utf8');
+      return emptyFile;
+    } catch (error) {
+      throw new Error(`Failed to extract checkpoint file: ${error.message}`);
+    }
+  }
+
+  // 🔧 Helper: Check if file exists
+  async fileExists(filePath) {
+    try {
+      await fsPromises.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // 🔄 NEW: Reconstruct file from incremental checkpoint chain
+  async reconstructFileFromIncrementalChain(targetCheckpoint, filePath, outputDir) {
+    const chain = await this.buildCheckpointChain(targetCheckpoint);
+
+    if (chain.length === 0) {
+      throw new Error('No reconstruction chain found');
+    }
+
+    // Start with base checkpoint
+    const baseCheckpoint = chain[0];
+
+    // Extract base file
+    await this.extractCheckpointFiles(baseCheckpoint, outputDir, (entryPath) => entryPath === filePath);
+
+    // Check if base file was extracted, if not create empty file
+    const baseFile = path.join(outputDir, filePath);
+    if (!(await this.fileExists(baseFile))) {
+      // File didn't exist in base checkpoint, create empty file
+      await fsPromises.mkdir(path.dirname(baseFile), { recursive: true });
+      await fsPromises.writeFile(baseFile, '', 'utf8');
+    }
+
+    // Apply incremental changes
+    for (let i = 1; i < chain.length; i++) {
+      const incrementalCheckpoint = chain[i];
+      await this.applyIncrementalFileChange(incrementalCheckpoint, filePath, outputDir);
+    }
+  }
+
+  // 🔄 NEW: Apply incremental file change for specific file
+  async applyIncrementalFileChange(checkpoint, filePath, outputDir) {
+    const checkpointPath = path.join(this.snapshotsDir, checkpoint.name);
+    const changes = checkpoint.changes;
+
+    if (!changes) return;
+
+    const outputFilePath = path.join(outputDir, filePath);
+
+    const isChanged = changes.added?.includes(filePath) || changes.modified?.includes(filePath);
+    if (isChanged && this.usesObjectStore(checkpoint)) {
+      await this.writeStoredFile(checkpoint, filePath, outputFilePath);
+      return;
+    }
+
+    // Handle added/modified files
+    if (changes.added?.includes(filePath)) {
+      const srcPath = path.join(checkpointPath, 'added', filePath);
+      if (await this.fileExists(srcPath)) {
+        await fsPromises.mkdir(path.dirname(outputFilePath), { recursive: true });
+        await fsPromises.copyFile(srcPath, outputFilePath);
+      }
+    } else if (changes.modified?.includes(filePath)) {
+      const srcPath = path.join(checkpointPath, 'modified', filePath);
+      if (await this.fileExists(srcPath)) {
+        await fsPromises.mkdir(path.dirname(outputFilePath), { recursive: true });
+        await fsPromises.copyFile(srcPath, outputFilePath);
+      }
+    } else if (changes.deleted?.includes(filePath)) {
+      // File was deleted in this checkpoint
+      if (await this.fileExists(outputFilePath)) {
+        await fsPromises.unlink(outputFilePath);
+      }
+    }
+  }
+
+  // 🔍 NEW: Compare two stored checkpoints using their manifests' file hashes
+  async compareCheckpoints(fromName, toName) {
+    try {
+      const checkpoints = await this.getCheckpoints();
+      const from = await this.resolveCheckpoint(fromName, checkpoints);
+      const to = await this.resolveCheckpoint(toName, checkpoints);
+
+      const legacy = [from, to].find(cp => !cp.fileHashes);
+      if (legacy) {
+        return {
+          success: false,
+          error: `Checkpoint ${legacy.name} was created before file hashes were recorded and can't be compared`
+        };
+      }
+
+      const fromHashes = new Map(Object.entries(from.fileHashes));
+      const toHashes = new Map(Object.entries(to.fileHashes));
+      const changes = { added: [], modified: [], deleted: [] };
+
+      for (const [file, hash] of toHashes) {
+        if (!fromHashes.has(file)) {
+          changes.added.push(file);
+        } else if (fromHashes.get(file) !== hash) {
+          changes.modified.push(file);
+        }
+      }
+
+      for (const file of fromHashes.keys()) {
+        if (!toHashes.has(file)) {
+          changes.deleted.push(file);
+        }
+      }
+
+      const describe = (cp) => ({
+        name: cp.name,
+        date: new Date(cp.timestamp).toLocaleString(),
+        description: cp.description
+      });
+
+      return {
+        success: true,
+        from: describe(from),
+        to: describe(to),
+        added: changes.added.sort(),
+        modified: changes.modified.sort(),
+        deleted: changes.deleted.sort(),
+        totalChanges: changes.added.length + changes.modified.length + changes.deleted.length
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // 🔍 Helper: Added/modified/deleted files between a checkpoint and the working tree (or a second checkpoint)
+  async getDiffChanges(checkpoint, toCheckpoint) {
+    if (toCheckpoint) {
+      const comparison = await this.compareCheckpoints(checkpoint.name, toCheckpoint);
+      if (!comparison.success) {
+        throw new Error(comparison.error);
+      }
+      return comparison;
+    }
+
+    // Get current files and calculate changes
+    const currentFiles = await this.getProjectFiles();
+    const changes = await this.calculateChanges(currentFiles, checkpoint.name);
+
+    return {
+      ...changes,
+      // Only show added files that exist in current state
+      added: changes.added.filter(file => currentFiles.includes(file))
+    };
+  }
+
+  // 🔍 Helper: Changed files to open in a diff tool
+  async getDiffTargets(checkpoint, toCheckpoint) {
+    const changes = await this.getDiffChanges(checkpoint, toCheckpoint);
+
+    // Deletions only make sense when both sides are checkpoints
+    return toCheckpoint
+      ? [...changes.modified, ...changes.added, ...changes.deleted]
+      : [...changes.modified, ...changes.added];
+  }
+
+  // 📄 NEW: Read one file's content from a checkpoint (null if the checkpoint doesn't contain it)
+  async readCheckpointFileContent(checkpointName, filePath) {
+    const checkpoints = await this.getCheckpoints();
+    const checkpoint = await this.resolveCheckpoint(checkpointName, checkpoints);
+    return await this.readStoredFile(checkpoint, filePath);
+  }
+
+  // Same, for a manifest that is already loaded
+  async readStoredFile(checkpoint, filePath) {
+    if (checkpoint.fileHashes) {
+      const hash = checkpoint.fileHashes[filePath];
+      if (!hash) {
+        return null;
+      }
+
+      // Every object-store manifest references its full file set, so no chain walk is needed
+      if (this.usesObjectStore(checkpoint)) {
+        return await this.readObject(hash);
+      }
+    } else if (!checkpoint.files.includes(filePath)) {
+      return null;
+    }
+
+    const extractedFile = await this.extractCheckpointFile(checkpoint.name, filePath);
+    try {
+      return await fsPromises.readFile(extractedFile);
+    } finally {
+      this.deleteTempFile(extractedFile);
+    }
+  }
+
+  // 📄 NEW: One stored file for cat/show and the read_claudepoint_file tool. maxBytes caps what
+  // is returned (text is cut at a line boundary); binary files are flagged rather than decoded
+  async readCheckpointFile(spec, file = null, options = {}) {
+    try {
+      const target = await this.resolveFileSpec(spec, file);
+      const content = await this.readStoredFile(target.checkpoint, target.file);
+
+      if (!content) {
+        return {
+          success: false,
+          error: `${target.file} is not in claudepoint ${target.checkpoint.name}`
+        };
+      }
+
+      const binary = this.isBinaryContent(content);
+      const maxBytes = options.maxBytes > 0 ? options.maxBytes : Infinity;
+      let returned = content;
+      if (content.length > maxBytes) {
+        returned = content.subarray(0, maxBytes);
+        const lastNewline = returned.lastIndexOf(0x0a);
+        if (!binary && lastNewline > 0) {
+          returned = returned.subarray(0, lastNewline + 1);
+        }
+      }
+
+      return {
+        success: true,
+        checkpoint: target.checkpoint.name,
+        file: target.file,
+        size: content.length,
+        binary,
+        truncated: returned.length < content.length,
+        content: returned
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // 📜 NEW: How one file evolved - walks every manifest oldest to newest and reports the
+  // checkpoints where it was added, modified or deleted, plus the working tree state
+  async getFileHistory(filePath, options = {}) {
+    try {
+      const file = filePath.split(path.sep).join('/').replace(/^\.\//, '');
+      const checkpoints = (await this.getCheckpoints()).reverse();
+      const contents = new Map(); // hash -> Buffer, so each version is read once
+
+      const readVersion = async (checkpoint, hash) => {
+        if (!contents.has(hash)) {
+          contents.set(hash, await this.readStoredFile(checkpoint, file));
+        }
+        return contents.get(hash);
+      };
+
+      // Line stats between two versions (null for binary or unreadable content)
+      const lineStats = (before, after) => {
+        if ([before, after].some(content => content && this.isBinaryContent(content))) {
+          return null;
+        }
+        const diff = this.createUnifiedDiff(before ? before.toString('utf8') : '', after ? after.toString('utf8') : '');
+        return { additions: diff.additions, deletions: diff.deletions };
+      };
+
+      const events = [];
+      let previous = null; // { checkpoint, hash } of the last version seen
+      let present = false;
+
+      for (const checkpoint of checkpoints) {
+        // Scoped checkpoints say nothing about files outside their scope
+        if (checkpoint.scope && !this.createPathFilter(checkpoint.scope)(file)) continue;
+
+        const inCheckpoint = checkpoint.files.includes(file);
+        let hash = null;
+        if (inCheckpoint) {
+          hash = checkpoint.fileHashes?.[file] || null;
+          if (!hash) {
+            // Legacy manifests have no hashes - hash the stored content instead
+            const content = await this.readStoredFile(checkpoint, file);
+            hash = content ? crypto.createHash('sha256').update(content).digest('hex') : null;
+            if (content) contents.set(hash, content);
+          }
+        }
+
+        let status = null;
+        if (inCheckpoint && !present) {
+          status = 'added';
+        } else if (inCheckpoint && hash !== previous.hash) {
+          status = 'modified';
+        } else if (!inCheckpoint && present) {
+          status = 'deleted';
+        }
+
+        if (status) {
+          let stats = null;
+          if (options.stats !== false) {
             try {
-              const remaining = await fsPromises.readdir(fullPath);
-              if (remaining.length === 0) {
-                await fsPromises.rmdir(fullPath);
-              }
+              const before = status === 'added' ? null : await readVersion(previous.checkpoint, previous.hash);
+              const after = status === 'deleted' ? null : await readVersion(checkpoint, hash);
+              stats = lineStats(before, after);
             } catch (error) {
-              // Directory not empty or other error, continue
+              // Unreadable version - report the change without line counts
             }
           }
+
+          events.push({
+            checkpoint: checkpoint.name,
+            timestamp: checkpoint.timestamp,
+            description: checkpoint.description,
+            origin: this.getCheckpointOrigin(checkpoint),
+            status,
+            hash,
+            ...(stats || {})
+          });
+        }
+
+        present = inCheckpoint;
+        if (inCheckpoint) {
+          previous = { checkpoint, hash };
         }
+      }
+
+      // Working tree compared with the newest checkpoint that has an opinion about the file
+      const currentPath = path.join(this.projectRoot, file);
+      const exists = await this.fileExists(currentPath);
+      const currentHash = exists ? await this.calculateFileHash(file) : null;
+      let current = 'absent';
+      if (exists) {
+        current = !present ? 'added' : currentHash === previous.hash ? 'unchanged' : 'modified';
+      } else if (present) {
+        current = 'deleted';
+      }
+
+      return {
+        success: true,
+        file,
+        events: events.reverse(),
+        versions: new Set(events.filter(event => event.hash).map(event => event.hash)).size,
+        current,
+        currentHash
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // "<checkpoint>:<file>" (or a separate file argument) -> { checkpoint, file }.
+  // References can contain ':' themselves (@{10:30}), so each split point is tried in turn
+  async resolveFileSpec(spec, file = null) {
+    const checkpoints = await this.getCheckpoints();
+    const normalize = (filePath) => filePath.split(path.sep).join('/').replace(/^\.\//, '');
+
+    if (file) {
+      return { checkpoint: await this.resolveCheckpoint(spec, checkpoints), file: normalize(file) };
+    }
+
+    let lastError = null;
+    for (let index = spec.indexOf(':'); index !== -1; index = spec.indexOf(':', index + 1)) {
+      const reference = spec.slice(0, index);
+      const filePath = spec.slice(index + 1);
+      if (!reference || !filePath) continue;
+
+      try {
+        return { checkpoint: await this.resolveCheckpoint(reference, checkpoints), file: normalize(filePath) };
       } catch (error) {
-        // Can't read directory, continue
+        if (error.candidates) throw error;
+        lastError = error;
       }
-    };
+    }
 
-    await walkAndClean(this.projectRoot);
+    throw lastError || new Error(`Expected <checkpoint>:<file>, got "${spec}"`);
   }
 
-  formatSize(bytes) {
-    const units = ['B', 'KB', 'MB', 'GB'];
-    let size = bytes;
-    let unitIndex = 0;
+  // 🔎 NEW: Regex search through every stored version of every file.
+  // Identical contents are scanned once and reported with all the checkpoints that contain them.
+  async searchCheckpoints(pattern, options = {}) {
+    try {
+      let regex;
+      try {
+        regex = new RegExp(pattern, options.ignoreCase ? 'i' : '');
+      } catch (error) {
+        return {
+          success: false,
+          error: `Invalid regex: ${error.message}`
+        };
+      }
 
-    while (size >= 1024 && unitIndex < units.length - 1) {
-      size /= 1024;
-      unitIndex++;
+      const allCheckpoints = await this.getCheckpoints();
+      const checkpoints = options.checkpoint
+        ? [await this.resolveCheckpoint(options.checkpoint, allCheckpoints)]
+        : allCheckpoints;
+      const filePatterns = [].concat(options.file || []).filter(Boolean);
+      const fileFilter = filePatterns.length > 0 ? this.createPathFilter(filePatterns) : null;
+      const maxMatches = options.maxMatches || 200;
+
+      const scanLines = (content) => {
+        if (this.isBinaryContent(content)) {
+          return [];
+        }
+        const matches = [];
+        content.toString('utf8').split('\n').forEach((text, index) => {
+          if (regex.test(text)) {
+            const line = text.replace(/\r$/, '');
+            matches.push({ line: index + 1, text: line.length > 200 ? `${line.slice(0, 200)}…` : line });
+          }
+        });
+        return matches;
+      };
+
+      const scanned = new Map(); // content hash -> matching lines
+      const groups = new Map(); // file + content hash -> result entry
+      let matchCount = 0;
+      let truncated = false;
+      let unreadable = 0;
+
+      // Newest first, so each result lists its checkpoints newest to oldest
+      for (const checkpoint of checkpoints) {
+        const files = checkpoint.files.filter(file => !fileFilter || fileFilter(file));
+        if (files.length === 0) continue;
+
+        // Legacy snapshots are archives - unpack the matching files once per checkpoint
+        let legacyDir = null;
+        try {
+          if (!this.usesObjectStore(checkpoint)) {
+            legacyDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'claudepoint-search-'));
+            await this.materializeCheckpoint(checkpoint, legacyDir, fileFilter);
+          }
+
+          for (const file of files) {
+            let content = null;
+            let hash = checkpoint.fileHashes?.[file];
+
+            try {
+              if (legacyDir) {
+                content = await fsPromises.readFile(path.join(legacyDir, file));
+                hash = hash || crypto.createHash('sha256').update(content).digest('hex');
+              }
+
+              if (!scanned.has(hash)) {
+                // Past the limit, only versions already scanned are still attributed
+                if (truncated) continue;
+                const matches = scanLines(content || await this.readObject(hash));
+                scanned.set(hash, matches);
+                matchCount += matches.length;
+                truncated = matchCount >= maxMatches;
+              }
+            } catch (error) {
+              unreadable++;
+              continue;
+            }
+
+            const matches = scanned.get(hash);
+            if (matches.length === 0) continue;
+
+            const key = `${file}\0${hash}`;
+            if (!groups.has(key)) {
+              groups.set(key, { file, hash, checkpoints: [], matches });
+            }
+            groups.get(key).checkpoints.push(checkpoint.name);
+          }
+        } catch (error) {
+          unreadable += files.length;
+        } finally {
+          if (legacyDir) {
+            await fsPromises.rm(legacyDir, { recursive: true, force: true });
+          }
+        }
+      }
+
+      return {
+        success: true,
+        pattern,
+        checkpointsSearched: checkpoints.length,
+        versionsScanned: scanned.size,
+        results: [...groups.values()],
+        matchCount,
+        truncated,
+        unreadable
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // 🔍 Helper: Same heuristic git uses - a NUL byte in the first 8000 bytes means binary
+  isBinaryContent(buffer) {
+    const length = Math.min(buffer.length, 8000);
+    for (let i = 0; i < length; i++) {
+      if (buffer[i] === 0) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // 🔍 Helper: Split text into lines that keep their terminator, so a missing
+  // trailing newline shows up as a change just like in `diff -u`
+  splitDiffLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+  }
+
+  // 🧮 Helper: Myers O(ND) line diff. Returns [{ op: ' ' | '-' | '+', line }]
+  diffLines(oldLines, newLines) {
+    // Common prefix/suffix are cheap to strip and keep the search space small
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+      start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // trace[d] keeps only the diagonals step d reads: k = -(d-1), -(d-3), ..., d-1.
+    // That's O(D²) memory instead of a full frontier copy per step
+    const trace = [];
+    const traced = (d, k) => trace[d][(k + d - 1) >> 1];
+    let middle = null;
+
+    // Wildly different files would need huge traces - treat them as a full rewrite instead
+    const maxEditDistance = 4000;
+
+    for (let d = 0; d <= max && d <= maxEditDistance && !middle; d++) {
+      const window = new Int32Array(d);
+      for (let i = 0; i < d; i++) {
+        window[i] = v[offset - d + 1 + 2 * i];
+      }
+      trace.push(window);
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          middle = [];
+          break;
+        }
+      }
     }
 
-    return `${size.toFixed(1)}${units[unitIndex]}`;
-  }
+    if (!middle) {
+      middle = [
+        ...a.map(line => ({ op: '-', line })),
+        ...b.map(line => ({ op: '+', line }))
+      ];
+    } else {
+      // Backtrack through the saved frontiers to recover the edit script
+      let x = n;
+      let y = m;
+      for (let d = trace.length - 1; d >= 0; d--) {
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && traced(d, k - 1) < traced(d, k + 1)))
+          ? k + 1
+          : k - 1;
+        const prevX = d === 0 ? 0 : traced(d, prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+          middle.push({ op: ' ', line: a[--x] });
+          y--;
+        }
+        if (d > 0) {
+          if (x === prevX) {
+            middle.push({ op: '+', line: b[--y] });
+          } else {
+            middle.push({ op: '-', line: a[--x] });
+          }
+        }
+      }
+      middle.reverse();
+    }
+
+    return [
+      ...oldLines.slice(0, start).map(line => ({ op: ' ', line })),
+      ...middle,
+      ...oldLines.slice(oldEnd).map(line => ({ op: ' ', line }))
+    ];
+  }
+
+  // 🔀 Helper: diff3-style line merge - returns { text, conflicts }.
+  // Changes from both sides apply cleanly unless they touch the same (or adjacent) base lines,
+  // in which case the region is written with conflict markers.
+  mergeText(baseText, oursText, theirsText, options = {}) {
+    const oursLabel = options.oursLabel || 'ours';
+    const theirsLabel = options.theirsLabel || 'theirs';
+    const base = this.splitDiffLines(baseText);
+
+    // Collapse an edit script into hunks: base[start, end) replaced by lines
+    const toHunks = (ops, side) => {
+      const hunks = [];
+      let index = 0;
+      let hunk = null;
+      for (const { op, line } of ops) {
+        if (op === ' ') {
+          if (hunk) hunks.push(hunk);
+          hunk = null;
+          index++;
+          continue;
+        }
+        if (!hunk) hunk = { side, start: index, end: index, lines: [] };
+        if (op === '-') {
+          index++;
+          hunk.end = index;
+        } else {
+          hunk.lines.push(line);
+        }
+      }
+      if (hunk) hunks.push(hunk);
+      return hunks;
+    };
+
+    const hunks = [
+      ...toHunks(this.diffLines(base, this.splitDiffLines(oursText)), 'ours'),
+      ...toHunks(this.diffLines(base, this.splitDiffLines(theirsText)), 'theirs')
+    ].sort((x, y) => x.start - y.start || x.end - y.end);
 
-  async logToChangelog(action, description, details = null) {
-    try {
-      let changelog = [];
-      try {
-        const changelogData = await fsPromises.readFile(this.changelogFile, 'utf8');
-        changelog = JSON.parse(changelogData);
-      } catch (error) {
-        // File doesn't exist yet, start with empty array
+    const output = [];
+    const withNewline = (lines) => lines.map((line, i) =>
+      (i === lines.length - 1 && !line.endsWith('\n') ? `${line}\n` : line)
+    );
+    let position = 0;
+    let conflicts = 0;
+
+    for (let i = 0; i < hunks.length;) {
+      const group = [hunks[i]];
+      const start = hunks[i].start;
+      let end = hunks[i].end;
+      for (i++; i < hunks.length && hunks[i].start <= end; i++) {
+        group.push(hunks[i]);
+        end = Math.max(end, hunks[i].end);
       }
 
-      const entry = {
-        timestamp: new Date().toISOString(),
-        action,
-        description,
-        details
+      // Each side's version of base[start, end)
+      const region = (side) => {
+        const lines = [];
+        let cursor = start;
+        for (const hunk of group.filter(h => h.side === side)) {
+          lines.push(...base.slice(cursor, hunk.start), ...hunk.lines);
+          cursor = hunk.end;
+        }
+        lines.push(...base.slice(cursor, end));
+        return lines;
       };
 
-      changelog.unshift(entry); // Add to beginning
+      output.push(...base.slice(position, start));
+      position = end;
 
-      // Keep only last 50 entries
-      if (changelog.length > 50) {
-        changelog = changelog.slice(0, 50);
+      const sides = new Set(group.map(h => h.side));
+      if (sides.size === 1) {
+        output.push(...region(group[0].side));
+        continue;
       }
 
-      await fsPromises.writeFile(this.changelogFile, JSON.stringify(changelog, null, 2));
-    } catch (error) {
-      // Don't fail the main operation if changelog fails
-      console.error('Warning: Could not update changelog:', error.message);
+      const ours = region('ours');
+      const theirs = region('theirs');
+      if (ours.length === theirs.length && ours.every((line, j) => line === theirs[j])) {
+        output.push(...ours);
+        continue;
+      }
+
+      conflicts++;
+      output.push(
+        `<<<<<<< ${oursLabel}\n`,
+        ...withNewline(ours),
+        '=======\n',
+        ...withNewline(theirs),
+        `>>>>>>> ${theirsLabel}\n`
+      );
     }
+
+    output.push(...base.slice(position));
+    return { text: output.join(''), conflicts };
   }
 
-  async getChangelog() {
-    try {
-      const changelogData = await fsPromises.readFile(this.changelogFile, 'utf8');
-      const changelog = JSON.parse(changelogData);
+  // 📝 NEW: Pure-JS unified diff - returns { patch, additions, deletions }
+  createUnifiedDiff(oldText, newText, options = {}) {
+    const context = options.context ?? 3;
+    const oldLabel = options.oldLabel || 'a';
+    const newLabel = options.newLabel || 'b';
+    const ops = this.diffLines(this.splitDiffLines(oldText), this.splitDiffLines(newText));
 
-      // Format timestamps for display
-      return changelog.map(entry => ({
-        ...entry,
-        timestamp: new Date(entry.timestamp).toLocaleString()
-      }));
-    } catch (error) {
-      return [];
-    }
-  }
+    const additions = ops.filter(entry => entry.op === '+').length;
+    const deletions = ops.filter(entry => entry.op === '-').length;
 
-  // 🎯 NEW: Get files changed since last claudepoint
-  async getChangedFilesSinceLastClaudepoint() {
-    try {
-      const checkpoints = await this.getCheckpoints();
-      const currentFiles = await this.getProjectFiles();
+    if (additions === 0 && deletions === 0) {
+      return { patch: '', additions, deletions };
+    }
 
-      if (checkpoints.length === 0) {
-        return {
-          hasLastClaudepoint: false,
-          added: currentFiles,
-          modified: [],
-          deleted: [],
-          totalChanges: currentFiles.length
-        };
+    // Group changes into hunks, merging those whose context windows overlap
+    const hunks = [];
+    let current = null;
+    ops.forEach((entry, index) => {
+      if (entry.op === ' ') return;
+      const from = Math.max(0, index - context);
+      const to = Math.min(ops.length, index + context + 1);
+      if (current && from <= current.to) {
+        current.to = to;
+      } else {
+        current = { from, to };
+        hunks.push(current);
       }
+    });
 
-      const lastClaudepoint = checkpoints[0];
-      const changes = await this.calculateChanges(currentFiles, lastClaudepoint.name);
-
-      return {
-        hasLastClaudepoint: true,
-        lastClaudepointName: lastClaudepoint.name,
-        lastClaudepointDate: new Date(lastClaudepoint.timestamp).toLocaleString(),
-        ...changes,
-        totalChanges: changes.added.length + changes.modified.length + changes.deleted.length
-      };
-    } catch (error) {
-      return {
-        error: error.message,
-        hasLastClaudepoint: false,
-        added: [],
-        modified: [],
-        deleted: [],
-        totalChanges: 0
-      };
+    // Line numbers before each op index
+    const oldLineAt = [];
+    const newLineAt = [];
+    let oldLine = 1;
+    let newLine = 1;
+    for (const entry of ops) {
+      oldLineAt.push(oldLine);
+      newLineAt.push(newLine);
+      if (entry.op !== '+') oldLine++;
+      if (entry.op !== '-') newLine++;
     }
-  }
 
-  // 🎮 NEW: Interactive configuration management
-  async getConfigurationStatus() {
-    const config = await this.loadConfig();
-    const checkpoints = await this.getCheckpoints();
+    let patch = `--- ${oldLabel}\n+++ ${newLabel}\n`;
+    for (const hunk of hunks) {
+      const slice = ops.slice(hunk.from, hunk.to);
+      const oldCount = slice.filter(entry => entry.op !== '+').length;
+      const newCount = slice.filter(entry => entry.op !== '-').length;
+      // An empty side is reported at the line before the hunk, as diff does
+      const oldStart = oldCount === 0 ? oldLineAt[hunk.from] - 1 : oldLineAt[hunk.from];
+      const newStart = newCount === 0 ? newLineAt[hunk.from] - 1 : newLineAt[hunk.from];
+
+      patch += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+      for (const entry of slice) {
+        if (entry.line.endsWith('\n')) {
+          patch += entry.op + entry.line;
+        } else {
+          patch += `${entry.op}${entry.line}\n\\ No newline at end of file\n`;
+        }
+      }
+    }
 
-    return {
-      maxClaudepoints: config.maxCheckpoints,
-      maxAge: config.maxAge,
-      currentClaudepoints: checkpoints.length,
-      ignorePatterns: config.ignorePatterns.length + config.additionalIgnores.length,
-      autoName: config.autoName,
-      configPath: this.configFile
-    };
+    return { patch, additions, deletions };
   }
 
-  // 🚀 NEW: Quick undo - restore last claudepoint
-  async undoLastClaudepoint() {
+  // 📝 NEW: Unified diff of one file between a checkpoint and the working tree (or options.toCheckpoint)
+  async getFileDiff(checkpointName, filePath, options = {}) {
     try {
-      const checkpoints = await this.getCheckpoints();
+      const oldContent = await this.readCheckpointFileContent(checkpointName, filePath);
+      let newContent = null;
 
-      if (checkpoints.length === 0) {
+      if (options.toCheckpoint) {
+        newContent = await this.readCheckpointFileContent(options.toCheckpoint, filePath);
+      } else {
+        const currentFilePath = path.join(this.projectRoot, filePath);
+        if (await this.fileExists(currentFilePath)) {
+          newContent = await fsPromises.readFile(currentFilePath);
+        }
+      }
+
+      if (oldContent === null && newContent === null) {
         return {
           success: false,
-          error: '🤔 No claudepoints found to undo. Create your first safety net!',
-          noClaudepoints: true
+          error: `File not found in checkpoint or target: ${filePath}`
+        };
+      }
+
+      const status = oldContent === null ? 'added' : newContent === null ? 'deleted' : 'modified';
+      const oldLabel = oldContent === null ? '/dev/null' : `a/${filePath}`;
+      const newLabel = newContent === null ? '/dev/null' : `b/${filePath}`;
+      const oldBuffer = oldContent || Buffer.alloc(0);
+      const newBuffer = newContent || Buffer.alloc(0);
+
+      if (this.isBinaryContent(oldBuffer) || this.isBinaryContent(newBuffer)) {
+        const changed = !oldBuffer.equals(newBuffer);
+        return {
+          success: true,
+          file: filePath,
+          status,
+          binary: true,
+          additions: 0,
+          deletions: 0,
+          patch: changed ? `Binary files ${oldLabel} and ${newLabel} differ\n` : ''
         };
       }
 
-      const lastClaudepoint = checkpoints[0];
-      return await this.restore(lastClaudepoint.name, false);
+      const diff = this.createUnifiedDiff(oldBuffer.toString('utf8'), newBuffer.toString('utf8'), {
+        oldLabel,
+        newLabel,
+        context: options.context
+      });
+
+      return {
+        success: true,
+        file: filePath,
+        status,
+        binary: false,
+        ...diff
+      };
     } catch (error) {
       return {
         success: false,
@@ -1004,140 +4009,89 @@ class CheckpointManager {
     }
   }
 
-  // 🔍 NEW: Extract checkpoint file for diff comparison
-  async extractCheckpointFile(checkpointName, filePath) {
+  // 📝 NEW: Combined unified diff for every changed file since a checkpoint (or between two checkpoints)
+  async generatePatch(checkpointName, options = {}) {
     try {
       const checkpoints = await this.getCheckpoints();
-      const checkpoint = checkpoints.find(cp =>
-        cp.name === checkpointName || cp.name.includes(checkpointName)
-      );
+      const checkpoint = await this.resolveCheckpoint(checkpointName, checkpoints);
+      // Pin relative references (@~1, @{...}) down once for every file
+      if (options.toCheckpoint) {
+        options = { ...options, toCheckpoint: (await this.resolveCheckpoint(options.toCheckpoint, checkpoints)).name };
+      }
 
-      if (!checkpoint) {
-        throw new Error(`Checkpoint not found: ${checkpointName}`);
+      let changedFiles;
+      if (options.files && options.files.length > 0) {
+        changedFiles = options.files;
+      } else {
+        const changes = await this.getDiffChanges(checkpoint, options.toCheckpoint);
+        changedFiles = [...changes.modified, ...changes.added, ...changes.deleted].sort();
       }
 
-      // Create temporary directory for extraction
-      const tempDir = path.join(os.tmpdir(), 'claudepoint-diff', checkpoint.name);
-      await fsPromises.mkdir(tempDir, { recursive: true });
+      const maxFiles = options.maxFiles || changedFiles.length;
+      const files = [];
+      let patch = '';
 
-      if (checkpoint.type === 'FULL' || !checkpoint.type) {
-        // Extract specific file from full checkpoint
-        const checkpointPath = path.join(this.snapshotsDir, checkpoint.name);
-        const tarPath = path.join(checkpointPath, 'files.tar.gz');
+      for (const file of changedFiles.slice(0, maxFiles)) {
+        const diff = await this.getFileDiff(checkpoint.name, file, options);
+        if (!diff.success) {
+          files.push({ file, error: diff.error });
+          continue;
+        }
 
-        await tar.extract({
-          file: tarPath,
-          cwd: tempDir,
-          filter: (path) => path === filePath
+        files.push({
+          file,
+          status: diff.status,
+          binary: diff.binary,
+          additions: diff.additions,
+          deletions: diff.deletions
         });
-
-        const extractedFile = path.join(tempDir, filePath);
-        if (await this.fileExists(extractedFile)) {
-          return extractedFile;
-        }
-      } else {
-        // Handle incremental checkpoint (reconstruct file state)
-        await this.reconstructFileFromIncrementalChain(checkpoint, filePath, tempDir);
-        const reconstructedFile = path.join(tempDir, filePath);
-        if (await this.fileExists(reconstructedFile)) {
-          return reconstructedFile;
-        }
+        patch += diff.patch;
       }
 
-      // File not found in checkpoint - this means it's a new file
-      // Create an empty file for comparison
-      const emptyFile = path.join(tempDir, filePath);
-      await fsPromises.mkdir(path.dirname(emptyFile), { recursive: true });
-      await fsPromises.writeFile(emptyFile, '', 'utf8');
-      return emptyFile;
+      return {
+        success: true,
+        checkpointInfo: {
+          name: checkpoint.name,
+          date: new Date(checkpoint.timestamp).toLocaleString(),
+          description: checkpoint.description
+        },
+        toCheckpoint: options.toCheckpoint || null,
+        files,
+        patch,
+        additions: files.reduce((sum, entry) => sum + (entry.additions || 0), 0),
+        deletions: files.reduce((sum, entry) => sum + (entry.deletions || 0), 0),
+        skipped: Math.max(0, changedFiles.length - maxFiles)
+      };
     } catch (error) {
-      throw new Error(`Failed to extract checkpoint file: ${error.message}`);
-    }
-  }
-
-  // 🔧 Helper: Check if file exists
-  async fileExists(filePath) {
-    try {
-      await fsPromises.access(filePath);
-      return true;
-    } catch {
-      return false;
-    }
-  }
-
-  // 🔄 NEW: Reconstruct file from incremental checkpoint chain
-  async reconstructFileFromIncrementalChain(targetCheckpoint, filePath, outputDir) {
-    const chain = await this.buildCheckpointChain(targetCheckpoint);
-
-    if (chain.length === 0) {
-      throw new Error('No reconstruction chain found');
-    }
-
-    // Start with base checkpoint
-    const baseCheckpoint = chain[0];
-    const baseCheckpointPath = path.join(this.snapshotsDir, baseCheckpoint.name);
-    const baseTarPath = path.join(baseCheckpointPath, 'files.tar.gz');
-
-    // Extract base file
-    await tar.extract({
-      file: baseTarPath,
-      cwd: outputDir,
-      filter: (path) => path === filePath
-    });
-
-    // Check if base file was extracted, if not create empty file
-    const baseFile = path.join(outputDir, filePath);
-    if (!(await this.fileExists(baseFile))) {
-      // File didn't exist in base checkpoint, create empty file
-      await fsPromises.mkdir(path.dirname(baseFile), { recursive: true });
-      await fsPromises.writeFile(baseFile, '', 'utf8');
-    }
-
-    // Apply incremental changes
-    for (let i = 1; i < chain.length; i++) {
-      const incrementalCheckpoint = chain[i];
-      await this.applyIncrementalFileChange(incrementalCheckpoint, filePath, outputDir);
+      return {
+        success: false,
+        error: error.message
+      };
     }
   }
 
-  // 🔄 NEW: Apply incremental file change for specific file
-  async applyIncrementalFileChange(checkpoint, filePath, outputDir) {
-    const checkpointPath = path.join(this.snapshotsDir, checkpoint.name);
-    const changes = checkpoint.changes;
-
-    if (!changes) return;
-
-    const outputFilePath = path.join(outputDir, filePath);
-
-    // Handle added/modified files
-    if (changes.added?.includes(filePath)) {
-      const srcPath = path.join(checkpointPath, 'added', filePath);
-      if (await this.fileExists(srcPath)) {
-        await fsPromises.mkdir(path.dirname(outputFilePath), { recursive: true });
-        await fsPromises.copyFile(srcPath, outputFilePath);
-      }
-    } else if (changes.modified?.includes(filePath)) {
-      const srcPath = path.join(checkpointPath, 'modified', filePath);
-      if (await this.fileExists(srcPath)) {
-        await fsPromises.mkdir(path.dirname(outputFilePath), { recursive: true });
-        await fsPromises.copyFile(srcPath, outputFilePath);
-      }
-    } else if (changes.deleted?.includes(filePath)) {
-      // File was deleted in this checkpoint
-      if (await this.fileExists(outputFilePath)) {
-        await fsPromises.unlink(outputFilePath);
-      }
+  // 🔍 Helper: Path of the right-hand side of a diff - the working tree file,
+  // or that file extracted from options.toCheckpoint
+  async getDiffTargetFile(filePath, options = {}) {
+    if (options.toCheckpoint) {
+      return await this.extractCheckpointFile(options.toCheckpoint, filePath);
     }
+    return path.join(this.projectRoot, filePath);
   }
 
   // 🎯 NEW: Open VSCode diff for file comparison
   async openVSCodeDiff(checkpointName, filePath, options = {}) {
     try {
       const { spawn } = await import('child_process');
+      const checkpoints = await this.getCheckpoints();
+      const checkpoint = await this.resolveCheckpoint(checkpointName, checkpoints);
+      if (options.toCheckpoint) {
+        options = { ...options, toCheckpoint: (await this.resolveCheckpoint(options.toCheckpoint, checkpoints)).name };
+      }
 
       // Extract checkpoint version of the file
-      const checkpointFilePath = await this.extractCheckpointFile(checkpointName, filePath);
-      const currentFilePath = path.join(this.projectRoot, filePath);
+      const checkpointFilePath = await this.extractCheckpointFile(checkpoint.name, filePath);
+      const currentFilePath = await this.getDiffTargetFile(filePath, options);
 
       // Check if current file exists
       if (!(await this.fileExists(currentFilePath))) {
@@ -1149,14 +4103,12 @@ class CheckpointManager {
       }
 
       // Generate diff title
-      const checkpoints = await this.getCheckpoints();
-      const checkpoint = checkpoints.find(cp =>
-        cp.name === checkpointName || cp.name.includes(checkpointName)
-      );
-      const checkpointDate = checkpoint ? new Date(checkpoint.timestamp).toLocaleString() : 'Unknown';
+      const checkpointDate = new Date(checkpoint.timestamp).toLocaleString();
 
-      const leftTitle = `${filePath} (Checkpoint: ${checkpointName})`;
-      const rightTitle = `${filePath} (Current)`;
+      const leftTitle = `${filePath} (Checkpoint: ${checkpoint.name})`;
+      const rightTitle = options.toCheckpoint
+        ? `${filePath} (Checkpoint: ${options.toCheckpoint})`
+        : `${filePath} (Current)`;
 
       // Open VSCode diff
       const vscodeArgs = [
@@ -1175,6 +4127,17 @@ class CheckpointManager {
         detached: !options.wait
       });
 
+      // A missing `code` binary is reported through an 'error' event - left unhandled it would
+      // crash the whole process (the MCP server included), so wait to see whether it started
+      const spawnError = await new Promise((resolve) => {
+        vscodeProcess.once('spawn', () => resolve(null));
+        vscodeProcess.once('error', resolve);
+      });
+      if (spawnError) {
+        throw spawnError;
+      }
+      vscodeProcess.on('error', () => {});
+
       if (options.wait) {
         return new Promise((resolve) => {
           vscodeProcess.on('close', (code) => {
@@ -1219,25 +4182,13 @@ class CheckpointManager {
   async openVSCodeDiffAll(checkpointName, options = {}) {
     try {
       const checkpoints = await this.getCheckpoints();
-      const checkpoint = checkpoints.find(cp =>
-        cp.name === checkpointName || cp.name.includes(checkpointName)
-      );
-
-      if (!checkpoint) {
-        return {
-          success: false,
-          error: `Checkpoint not found: ${checkpointName}`
-        };
+      const checkpoint = await this.resolveCheckpoint(checkpointName, checkpoints);
+      // Pin relative references (@~1, @{...}) down once for every file
+      if (options.toCheckpoint) {
+        options = { ...options, toCheckpoint: (await this.resolveCheckpoint(options.toCheckpoint, checkpoints)).name };
       }
 
-      // Get current files and calculate changes
-      const currentFiles = await this.getProjectFiles();
-      const changes = await this.calculateChanges(currentFiles, checkpoint.name);
-
-      const changedFiles = [...changes.modified, ...changes.added.filter(file =>
-        // Only show added files that exist in current state
-        currentFiles.includes(file)
-      )];
+      const changedFiles = await this.getDiffTargets(checkpoint, options.toCheckpoint);
 
       if (changedFiles.length === 0) {
         return {
@@ -1253,7 +4204,10 @@ class CheckpointManager {
 
       for (const file of filesToProcess) {
         try {
-          const result = await this.openVSCodeDiff(checkpoint.name, file, { wait: false });
+          const result = await this.openVSCodeDiff(checkpoint.name, file, {
+            wait: false,
+            toCheckpoint: options.toCheckpoint
+          });
           results.push({ file, ...result });
         } catch (error) {
           results.push({
@@ -1269,6 +4223,7 @@ class CheckpointManager {
 
       return {
         success: successful > 0,
+        ...(successful === 0 && { error: results[0]?.error }),
         processed: filesToProcess.length,
         successful,
         failed,
@@ -1293,9 +4248,31 @@ class CheckpointManager {
     try {
       const { spawn } = await import('child_process');
 
+      // 📝 NEW: Built-in engine - no external diff binary required
+      if (options.tool === 'builtin') {
+        const diff = await this.getFileDiff(checkpointName, filePath, {
+          toCheckpoint: options.toCheckpoint,
+          context: options.unified || 3
+        });
+
+        if (!diff.success) {
+          return diff;
+        }
+
+        process.stdout.write(diff.patch);
+        return {
+          success: true,
+          file: filePath,
+          tool: 'builtin',
+          binary: diff.binary,
+          additions: diff.additions,
+          deletions: diff.deletions
+        };
+      }
+
       // Extract checkpoint version of the file
       const checkpointFilePath = await this.extractCheckpointFile(checkpointName, filePath);
-      const currentFilePath = path.join(this.projectRoot, filePath);
+      const currentFilePath = await this.getDiffTargetFile(filePath, options);
 
       // Check if current file exists
       if (!(await this.fileExists(currentFilePath))) {
@@ -1306,6 +4283,10 @@ class CheckpointManager {
         };
       }
 
+      // Extracted files are temporary; the working tree file is not
+      const tempFiles = options.toCheckpoint ? [checkpointFilePath, currentFilePath] : [checkpointFilePath];
+      const cleanupTempFiles = () => tempFiles.forEach(file => this.deleteTempFile(file));
+
       const tool = options.tool || 'terminal';
       const unified = options.unified || 3;
 
@@ -1346,7 +4327,7 @@ class CheckpointManager {
 
           child.on('error', (error) => {
             // Clean up temp file on error only
-            this.deleteTempFile(checkpointFilePath);
+            cleanupTempFiles();
 
             resolve({
               success: false,
@@ -1368,7 +4349,7 @@ class CheckpointManager {
 
           // Clean up temp file when nvim actually closes (but don't wait)
           child.on('close', () => {
-            this.deleteTempFile(checkpointFilePath);
+            cleanupTempFiles();
           });
         });
       }
@@ -1382,7 +4363,7 @@ class CheckpointManager {
 
         child.on('close', (code) => {
           // Clean up temp file
-          this.deleteTempFile(checkpointFilePath);
+          cleanupTempFiles();
 
           resolve({
             success: true,
@@ -1394,7 +4375,7 @@ class CheckpointManager {
 
         child.on('error', (error) => {
           // Clean up temp file
-          this.deleteTempFile(checkpointFilePath);
+          cleanupTempFiles();
 
           resolve({
             success: false,
@@ -1415,25 +4396,13 @@ class CheckpointManager {
   async openTerminalDiffAll(checkpointName, options = {}) {
     try {
       const checkpoints = await this.getCheckpoints();
-      const checkpoint = checkpoints.find(cp =>
-        cp.name === checkpointName || cp.name.includes(checkpointName)
-      );
-
-      if (!checkpoint) {
-        return {
-          success: false,
-          error: `Checkpoint not found: ${checkpointName}`
-        };
+      const checkpoint = await this.resolveCheckpoint(checkpointName, checkpoints);
+      // Pin relative references (@~1, @{...}) down once for every file
+      if (options.toCheckpoint) {
+        options = { ...options, toCheckpoint: (await this.resolveCheckpoint(options.toCheckpoint, checkpoints)).name };
       }
 
-      // Get current files and calculate changes
-      const currentFiles = await this.getProjectFiles();
-      const changes = await this.calculateChanges(currentFiles, checkpoint.name);
-
-      const changedFiles = [...changes.modified, ...changes.added.filter(file =>
-        // Only show added files that exist in current state
-        currentFiles.includes(file)
-      )];
+      const changedFiles = await this.getDiffTargets(checkpoint, options.toCheckpoint);
 
       if (changedFiles.length === 0) {
         return {
@@ -1449,13 +4418,16 @@ class CheckpointManager {
 
       // For nvim, open all files in one session
       if (tool === 'nvim') {
-        return await this.openNvimDiffAll(checkpoint.name, filesToProcess);
+        return await this.openNvimDiffAll(checkpoint.name, filesToProcess, options);
       }
 
       // For other tools, show diff for each file sequentially
       const results = [];
 
       console.log(`\n📍 Checkpoint: ${checkpoint.name}`);
+      if (options.toCheckpoint) {
+        console.log(`📍 Compared with: ${options.toCheckpoint}`);
+      }
       console.log(`📅 Date: ${new Date(checkpoint.timestamp).toLocaleString()}`);
       console.log(`📝 Description: ${checkpoint.description || 'No description'}`);
       console.log(`🔍 Tool: ${tool}\n`);
@@ -1468,7 +4440,8 @@ class CheckpointManager {
         try {
           const result = await this.openTerminalDiff(checkpoint.name, file, {
             tool,
-            unified: options.unified
+            unified: options.unified,
+            toCheckpoint: options.toCheckpoint
           });
           results.push({ file, ...result });
 
@@ -1511,7 +4484,7 @@ class CheckpointManager {
   }
 
   // 🔍 Helper: Open multiple files in nvim diff mode
-  async openNvimDiffAll(checkpointName, files) {
+  async openNvimDiffAll(checkpointName, files, options = {}) {
     try {
       const { spawn } = await import('child_process');
 
@@ -1521,9 +4494,12 @@ class CheckpointManager {
 
       for (const file of files) {
         const checkpointFilePath = await this.extractCheckpointFile(checkpointName, file);
-        const currentFilePath = path.join(this.projectRoot, file);
+        const currentFilePath = await this.getDiffTargetFile(file, options);
 
         tempFiles.push(checkpointFilePath);
+        if (options.toCheckpoint) {
+          tempFiles.push(currentFilePath);
+        }
 
         // Add both checkpoint and current file for each file
         nvimArgs.push(checkpointFilePath);
@@ -44,6 +44,8 @@ Steps:
 5. Celebrate the successful time travel with a cool message!
 
 Important: Always show the numbered list first and wait for user selection.
+
+If the user wants to keep edits they made since the last claudepoint, pass merge=true. Report any conflicts the tool lists.
 `;
   
   // Create /claudepoint-list command
@@ -166,7 +168,23 @@ Steps:
 2. This will automatically restore your last claudepoint
 3. Celebrate the successful time hack with a cool message!
 
+Running /undo again steps further back through older claudepoints. /redo reverses it.
+
 Perfect for when you need to quickly undo recent changes and get back to a stable state.
+`;
+
+  // Create /redo command
+  const redoContent = `---
+description: Reverse the last time hack // Back to where you were before the last undo or restore
+---
+
+↪️ Undo the undo! Use the ClaudePoint MCP tool to go back to the exact state before the last restore or undo.
+
+Steps:
+1. Use the redo_claudepoint tool from ClaudePoint
+2. Tell the user which restore was reversed and whether more redo steps remain
+
+Perfect for when /undo went one step too far.
 `;
 
   // Create /changes command
@@ -189,33 +207,38 @@ Perfect for reviewing what Claude Code has modified in your project.
 
   // Create /diff command
   const diffContent = `---
-description: Visual diff // Compare checkpoint with current files
-argument-hint: [checkpoint] [file] [--all] [--tool]
+description: Visual diff // Compare checkpoint with current files or another checkpoint
+argument-hint: [checkpoint] [to_checkpoint] [file] [--all] [--tool]
 ---
 
 🔍 Use the ClaudePoint MCP tool diff_claudepoint to compare files visually.
 
 Parse $ARGUMENTS to extract:
 - checkpoint: Name or partial name of checkpoint to compare against
+- to_checkpoint: Optional second checkpoint to compare with instead of the current files
 - file: Optional specific file to compare
 - tool: Choose your preferred diff tool
   • vscode: Visual Studio Code (default)
   • nvim: Neovim
   • git: Git diff in terminal
+  • builtin: Built-in unified diff (no external tools)
 - --all flag: Compare all changed files at once
 
 Steps:
 1. If no checkpoint specified, use list_claudepoints to show available options
 2. Use the diff_claudepoint tool from ClaudePoint with parsed arguments
+   - The response contains the unified patch - summarize it for the user
 3. Available options:
    - Compare specific file: Pass checkpoint and file parameters
    - Compare all files: Pass checkpoint with all=true
+   - Compare two checkpoints: Pass checkpoint and to_checkpoint
    - Interactive selection: Show checkpoint list if none specified
 
 Examples:
 - /diff checkpoint_name src/app.js                # Compare in VSCode (default)
 - /diff checkpoint_name src/app.js --tool nvim    # Compare using Neovim
 - /diff checkpoint_name --all --tool git          # Compare all in terminal
+- /diff before_refactor after_refactor           # Compare two checkpoints
 - /diff                                          # Show available checkpoints
 
 Perfect for visual comparison of your changes using your favorite tools!
@@ -283,6 +306,7 @@ Perfect for getting started with ClaudePoint in any project.
   // Write all command files with clean names
   await fsPromises.writeFile(path.join(commandsDir, 'claudepoint.md'), claudepointContent);
   await fsPromises.writeFile(path.join(commandsDir, 'undo.md'), undoContent);
+  await fsPromises.writeFile(path.join(commandsDir, 'redo.md'), redoContent);
   await fsPromises.writeFile(path.join(commandsDir, 'claudepoint-list.md'), claudepointListContent);
   await fsPromises.writeFile(path.join(commandsDir, 'claudepoint-restore.md'), claudepointRestoreContent);
   await fsPromises.writeFile(path.join(commandsDir, 'changes.md'), changesContent);
@@ -296,6 +320,7 @@ Perfect for getting started with ClaudePoint in any project.
     commandsCreated: [
       'claudepoint',
       'undo',
+      'redo',
       'claudepoint-list',
       'claudepoint-restore', 
       'changes',
@@ -20,6 +20,15 @@ import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 const packageJson = require('../package.json');
 
+// Keep diff responses small enough to fit comfortably in the agent's context
+const MAX_PATCH_CHARS = 50000;
+
+// Same idea for whole files returned by read_claudepoint_file
+const MAX_FILE_BYTES = 100000;
+
+// How checkpoint arguments can be written - see CheckpointManager.resolveCheckpoint
+const REFERENCE_FORMS = 'full or partial name, list number (#1 = newest), @~N (N before newest), @{10 minutes ago}, ISO timestamp or tag';
+
 class ClaudePointMCPServer {
   constructor() {
     try {
@@ -68,6 +77,20 @@ class ClaudePointMCPServer {
                 description: {
                   type: 'string',
                   description: 'Description of what this checkpoint represents'
+                },
+                full: {
+                  type: 'boolean',
+                  description: 'Force a FULL checkpoint instead of an incremental one',
+                  default: false
+                },
+                tags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Tags for the checkpoint (e.g. ["release-1.0"]); a tag can be used instead of the name later'
+                },
+                notes: {
+                  type: 'string',
+                  description: 'Free-form notes, e.g. what was tried or what is known to be broken'
                 }
               }
             }
@@ -77,7 +100,16 @@ class ClaudePointMCPServer {
             description: '🗂️ Browse your claudepoint vault // View your collection of digital artifacts',
             inputSchema: {
               type: 'object',
-              properties: {}
+              properties: {
+                origin: {
+                  type: 'string',
+                  description: 'Only list claudepoints from this origin: manual, mcp, setup, emergency, hook or hook:<trigger>'
+                },
+                tag: {
+                  type: 'string',
+                  description: 'Only list claudepoints with this tag'
+                }
+              }
             }
           },
           {
@@ -88,12 +120,26 @@ class ClaudePointMCPServer {
               properties: {
                 claudepoint: {
                   type: 'string',
-                  description: 'Name or partial name of the claudepoint to restore'
+                  description: `Claudepoint to restore: ${REFERENCE_FORMS}`
                 },
                 dry_run: {
                   type: 'boolean',
                   description: 'Preview changes without actually restoring',
                   default: false
+                },
+                files: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only restore files matching these paths or glob patterns (e.g. ["src/auth/**"]); everything else is left untouched'
+                },
+                merge: {
+                  type: 'boolean',
+                  description: 'Three-way merge instead of overwriting: edits made since the merge base are kept, conflicts are written with <<<<<<< markers',
+                  default: false
+                },
+                base: {
+                  type: 'string',
+                  description: `Merge base for merge mode (default: the newest full claudepoint): ${REFERENCE_FORMS}`
                 }
               },
               required: ['claudepoint']
@@ -148,7 +194,15 @@ class ClaudePointMCPServer {
           },
           {
             name: 'undo_claudepoint',
-            description: '🔄 Instant time hack // Quick restore to your last claudepoint',
+            description: '🔄 Instant time hack // Quick restore to your last claudepoint (repeat to step further back)',
+            inputSchema: {
+              type: 'object',
+              properties: {}
+            }
+          },
+          {
+            name: 'redo_claudepoint',
+            description: '↪️ Reverse the last restore or undo // Back to the exact state before it',
             inputSchema: {
               type: 'object',
               properties: {}
@@ -172,23 +226,32 @@ class ClaudePointMCPServer {
           },
           {
             name: 'diff_claudepoint',
-            description: '🔍 Open VSCode diff // Compare checkpoint with current files visually',
+            description: '🔍 Unified diff // Compare checkpoint with current files (or another checkpoint) and return the patch',
             inputSchema: {
               type: 'object',
               properties: {
                 checkpoint: {
                   type: 'string',
-                  description: 'Checkpoint name to compare against'
+                  description: `Checkpoint to compare against: ${REFERENCE_FORMS}`
+                },
+                to_checkpoint: {
+                  type: 'string',
+                  description: `Second checkpoint to compare with instead of the current files (optional): ${REFERENCE_FORMS}`
                 },
                 file: {
                   type: 'string',
-                  description: 'Specific file to compare (optional - if not provided, shows changed files list)'
+                  description: 'Specific file to compare (optional - if not provided, returns the patch for all changed files)'
                 },
                 all: {
                   type: 'boolean',
                   description: 'Compare all changed files at once',
                   default: false
                 },
+                open_vscode: {
+                  type: 'boolean',
+                  description: 'Also open VSCode diff windows when file or all is given (needs the `code` command)',
+                  default: false
+                },
                 maxFiles: {
                   type: 'number',
                   description: 'Maximum number of files to compare when using all option',
@@ -197,6 +260,122 @@ class ClaudePointMCPServer {
               },
               required: ['checkpoint']
             }
+          },
+          {
+            name: 'pin_claudepoint',
+            description: '📌 Pin a claudepoint // Protect it from automatic cleanup',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                claudepoint: {
+                  type: 'string',
+                  description: `Claudepoint to pin: ${REFERENCE_FORMS}`
+                }
+              },
+              required: ['claudepoint']
+            }
+          },
+          {
+            name: 'verify_claudepoint',
+            description: '🩺 Verify claudepoint integrity // Confirm a claudepoint can be restored before risky work',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                claudepoint: {
+                  type: 'string',
+                  description: `Claudepoint to verify (optional - verifies the whole vault): ${REFERENCE_FORMS}`
+                },
+                quarantine: {
+                  type: 'boolean',
+                  description: 'Move damaged claudepoints and objects to .claudepoint/quarantine',
+                  default: false
+                }
+              }
+            }
+          },
+          {
+            name: 'search_claudepoints',
+            description: '🔎 Search every stored claudepoint for a regex // Find code that was deleted or changed so it can be recovered',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                pattern: {
+                  type: 'string',
+                  description: 'JavaScript regular expression matched against each line (e.g. "function refreshToken")'
+                },
+                file: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only search files matching these paths or glob patterns (e.g. ["src/**/*.js"])'
+                },
+                claudepoint: {
+                  type: 'string',
+                  description: `Only search this claudepoint: ${REFERENCE_FORMS}`
+                },
+                ignore_case: {
+                  type: 'boolean',
+                  description: 'Case-insensitive match',
+                  default: false
+                },
+                max_matches: {
+                  type: 'number',
+                  description: 'Stop after this many matching lines',
+                  default: 100
+                }
+              },
+              required: ['pattern']
+            }
+          },
+          {
+            name: 'get_file_history',
+            description: '📜 Show how one file evolved // Every claudepoint where it was added, modified or deleted',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                file: {
+                  type: 'string',
+                  description: 'Project-relative file path (e.g. "src/auth.js")'
+                }
+              },
+              required: ['file']
+            }
+          },
+          {
+            name: 'read_claudepoint_file',
+            description: '📄 Read a file exactly as a claudepoint stored it // Look at an old version without restoring anything',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                claudepoint: {
+                  type: 'string',
+                  description: `Claudepoint to read from: ${REFERENCE_FORMS}`
+                },
+                file: {
+                  type: 'string',
+                  description: 'Project-relative file path (e.g. "src/auth.js")'
+                },
+                max_bytes: {
+                  type: 'number',
+                  description: `Return at most this many bytes (default ${MAX_FILE_BYTES})`,
+                  default: MAX_FILE_BYTES
+                }
+              },
+              required: ['claudepoint', 'file']
+            }
+          },
+          {
+            name: 'unpin_claudepoint',
+            description: '📍 Unpin a claudepoint // Let automatic cleanup manage it again',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                claudepoint: {
+                  type: 'string',
+                  description: `Claudepoint to unpin: ${REFERENCE_FORMS}`
+                }
+              },
+              required: ['claudepoint']
+            }
           }
         ]
       };
@@ -219,6 +398,9 @@ class ClaudePointMCPServer {
             
           case 'undo_claudepoint':
             return await this.handleUndoClaudepoint(args);
+
+          case 'redo_claudepoint':
+            return await this.handleRedoClaudepoint(args);
             
           case 'get_changes':
             return await this.handleGetChanges(args);
@@ -228,6 +410,24 @@ class ClaudePointMCPServer {
           
           case 'diff_claudepoint':
             return await this.handleDiffClaudepoint(args);
+
+          case 'verify_claudepoint':
+            return await this.handleVerifyClaudepoint(args);
+
+          case 'search_claudepoints':
+            return await this.handleSearchClaudepoints(args);
+
+          case 'get_file_history':
+            return await this.handleGetFileHistory(args);
+
+          case 'read_claudepoint_file':
+            return await this.handleReadClaudepointFile(args);
+
+          case 'pin_claudepoint':
+            return await this.handlePinClaudepoint(args, true);
+
+          case 'unpin_claudepoint':
+            return await this.handlePinClaudepoint(args, false);
           
           case 'setup_claudepoint':
             return await this.handleSetup(args);
@@ -259,7 +459,7 @@ class ClaudePointMCPServer {
   }
 
   async handleCreateClaudepoint(args) {
-    const { name, description } = args || {};
+    const { name, description, full = false, tags, notes } = args || {};
     
     console.error(`[claudepoint] Creating claudepoint: name=${name}, desc=${description}`);
     console.error(`[claudepoint] Working in: ${process.cwd()}`);
@@ -291,7 +491,7 @@ class ClaudePointMCPServer {
         };
       }
 
-      const result = await this.manager.create(name, description);
+      const result = await this.manager.create(name, description, false, { full, origin: 'mcp', tags, notes });
       
       if (result.success) {
         const successMsg = this.manager.getRandomMessage(this.manager.successMessages);
@@ -299,7 +499,7 @@ class ClaudePointMCPServer {
           content: [
             {
               type: 'text',
-              text: `${successMsg}\n   💾 Name: ${result.name}\n   📁 Files: ${result.fileCount}\n   📊 Size: ${result.size}\n   📝 Description: ${result.description || 'Manual claudepoint'}`
+              text: `${successMsg}\n   💾 Name: ${result.name}\n   🧱 Type: ${result.type}\n   📁 Files: ${result.fileCount}\n   📊 Size: ${result.size}\n   📝 Description: ${result.description || 'Manual claudepoint'}${result.tags?.length ? `\n   🔖 Tags: ${result.tags.join(', ')}` : ''}${result.warning ? `\n   ⚠️ ${result.warning}` : ''}`
             }
           ]
         };
@@ -436,14 +636,36 @@ class ClaudePointMCPServer {
         };
       }
 
+      const { origin, tag } = args || {};
       const listMsg = this.manager.getRandomMessage(this.manager.listMessages);
-      let output = `${listMsg}\n📦 Total claudepoints: ${claudepoints.length}\n\n`;
+      let output = `${listMsg}\n📦 Total claudepoints: ${claudepoints.length}\n`;
+      if (origin) {
+        output += `🏷️ Showing origin: ${origin}\n`;
+      }
+      if (tag) {
+        output += `🔖 Showing tag: ${tag}\n`;
+      }
+      output += '\n';
       
       claudepoints.forEach((cp, index) => {
+        // Filtered entries keep their position in the full list
+        if (origin && !this.manager.matchesOrigin(cp, origin)) return;
+        if (tag && !cp.tags?.includes(tag)) return;
+
         const date = new Date(cp.timestamp).toLocaleString();
-        output += `${index + 1}. 💾 ${cp.name}\n`;
+        output += `${index + 1}. 💾 ${cp.name}${cp.pinned ? ' 📌 PINNED' : ''}\n`;
         output += `   📝 ${cp.description}\n`;
-        output += `   📅 ${date} | ${cp.fileCount} files | ${this.manager.formatSize(cp.totalSize)}\n\n`;
+        output += `   📅 ${date} | ${cp.fileCount} files | ${this.manager.formatSize(cp.totalSize)} | 🏷️ ${this.manager.getCheckpointOrigin(cp)}\n`;
+        if (cp.tags?.length > 0) {
+          output += `   🔖 ${cp.tags.join(', ')}\n`;
+        }
+        if (cp.notes) {
+          output += `   🗒️ ${cp.notes.split('\n').join('\n      ')}\n`;
+        }
+        if (cp.session) {
+          output += `   💬 session ${cp.session.id}${cp.session.start ? ' (session start)' : ''}\n`;
+        }
+        output += '\n';
       });
 
       return {
@@ -466,167 +688,514 @@ class ClaudePointMCPServer {
     }
   }
 
-  async handleRestoreClaudepoint(args) {
-    const { claudepoint, dry_run = false } = args || {};
-    
+  // 🔎 Search handler
+  async handleSearchClaudepoints(args) {
+    const { pattern, file, claudepoint, ignore_case = false, max_matches = 100 } = args || {};
+
     try {
-      const checkpoints = await this.manager.getCheckpoints();
-      const targetCheckpoint = checkpoints.find(cp => 
-        cp.name === claudepoint || cp.name.includes(claudepoint)
-      );
+      const result = await this.manager.searchCheckpoints(pattern, {
+        file,
+        checkpoint: claudepoint,
+        ignoreCase: ignore_case,
+        maxMatches: max_matches
+      });
 
-      if (!targetCheckpoint) {
-        const available = checkpoints.slice(0, 5).map(cp => `  - ${cp.name}`).join('\n');
+      if (!result.success) {
         return {
           content: [
             {
               type: 'text',
-              text: `🚨 Claudepoint not found: ${claudepoint}\n\nAvailable claudepoints:\n${available}`
+              text: `🚨 Search failed: ${result.error}`
             }
           ]
         };
       }
 
-      if (dry_run) {
-        const currentFiles = await this.manager.getProjectFiles();
-        const filesToDelete = currentFiles.filter(f => !targetCheckpoint.files.includes(f));
-        
-        let output = `🔍 DRY RUN - Would restore: ${targetCheckpoint.name}\n`;
-        output += `   📝 Description: ${targetCheckpoint.description}\n`;
-        output += `   📅 Date: ${new Date(targetCheckpoint.timestamp).toLocaleString()}\n`;
-        output += `   📁 Files: ${targetCheckpoint.fileCount}\n`;
-        
-        if (filesToDelete.length > 0) {
-          output += `   🗑️  Would delete ${filesToDelete.length} files that didn't exist in checkpoint\n`;
-        }
-        
-        output += '\nUse restore_claudepoint without dry_run to proceed.';
-        
+      if (result.results.length === 0) {
         return {
           content: [
             {
               type: 'text',
-              text: output
+              text: `🤔 No matches for /${pattern}/ in ${result.checkpointsSearched} claudepoints`
             }
           ]
         };
       }
 
-      // Perform actual restore
-      const result = await this.manager.restore(claudepoint, false);
-      
-      if (result.success) {
+      let output = `🎯 ${result.matchCount} matching lines in ${result.results.length} file versions across ${result.checkpointsSearched} claudepoints\n`;
+      for (const entry of result.results) {
+        const [newest, ...older] = entry.checkpoints;
+        output += `\n📄 ${entry.file} @ ${newest}${older.length > 0 ? ` (also in ${older.length} older, oldest ${older[older.length - 1]})` : ''}\n`;
+        entry.matches.forEach(match => {
+          output += `   ${match.line}: ${match.text.trim()}\n`;
+        });
+      }
+
+      if (result.truncated) {
+        output += `\n⚠️ Stopped after ${result.matchCount} matching lines - narrow the search with file or raise max_matches\n`;
+      }
+      if (result.unreadable > 0) {
+        output += `⚠️ ${result.unreadable} stored files could not be read - run verify_claudepoint\n`;
+      }
+      output += '\n💡 Recover a file with restore_claudepoint using files=[<file>], or compare first with diff_claudepoint.';
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🚨 Error during search: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // 📜 File history handler
+  async handleGetFileHistory(args) {
+    const { file } = args || {};
+
+    try {
+      const result = await this.manager.getFileHistory(file);
+
+      if (!result.success) {
         return {
           content: [
             {
               type: 'text',
-              text: `${this.manager.getRandomMessage(this.manager.undoMessages)}\n   🔒 Emergency backup: ${result.emergencyBackup}\n   🔄 Restored: ${targetCheckpoint.name}\n   📁 Files restored: ${targetCheckpoint.fileCount}`
+              text: `🚨 History failed: ${result.error}`
             }
           ]
         };
-      } else {
+      }
+
+      if (result.events.length === 0) {
         return {
           content: [
             {
               type: 'text',
-              text: `🚨 Time travel failed: ${result.error}`
+              text: `🤔 ${result.file} is not in any claudepoint`
             }
           ]
         };
       }
+
+      const currentLabels = {
+        unchanged: 'matches the latest claudepoint',
+        modified: 'modified since the latest claudepoint',
+        added: 're-created since it was deleted',
+        deleted: 'deleted since the latest claudepoint',
+        absent: 'not present'
+      };
+
+      let output = `📜 ${result.file} // ${result.events.length} changes, ${result.versions} stored versions (newest first)\n\n`;
+      output += `Working tree: ${currentLabels[result.current]}\n\n`;
+      result.events.forEach(event => {
+        const stats = event.additions !== undefined ? ` (+${event.additions} -${event.deletions})` : '';
+        const origin = event.origin !== 'manual' ? ` [${event.origin}]` : '';
+        output += `${event.status.toUpperCase()}${stats} in ${event.checkpoint}${origin}\n`;
+        output += `   ${new Date(event.timestamp).toLocaleString()} - ${event.description}\n`;
+      });
+      output += `\n💡 Read a version with read_claudepoint_file, compare it with diff_claudepoint, or bring it back with restore_claudepoint using files=["${result.file}"].`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output
+          }
+        ]
+      };
     } catch (error) {
       return {
         content: [
           {
             type: 'text',
-            text: `🚨 Time travel error: ${error.message}`
+            text: `🚨 Error reading file history: ${error.message}`
           }
         ]
       };
     }
   }
 
-  async handleInitSlashCommands(args) {
+  // 📄 Read file handler
+  async handleReadClaudepointFile(args) {
+    const { claudepoint, file, max_bytes = MAX_FILE_BYTES } = args || {};
+
     try {
-      const result = await initializeSlashCommands();
-      
-      if (result.success) {
-        let output = '🚀 ClaudePoint slash commands initialized!\n\n';
-        output += '✅ Created .claude/commands directory\n';
-        output += '✅ Added complete claudepoint command arsenal\n';
-        output += '✅ Created 7 essential slash commands\n';
-        output += '\n💡 Main slash commands:\n';
-        output += '  • /claudepoint - Deploy a new claudepoint\n';
-        output += '  • /undo - Instant time hack to last claudepoint\n';
-        output += '  • /claudepoint-restore - Time travel with interactive selection\n';
-        output += '  • /claudepoint-list - Browse your claudepoint vault\n';
-        output += '  • /changes - Scan for modifications\n';
-        output += '  • /claudepoint-changelog - View history\n';
-        output += '  • /ultrathink - Activate deep reasoning mode\n';
-        output += '\n🎯 Type / in Claude Code to see and use these commands!';
-        
+      const result = await this.manager.readCheckpointFile(claudepoint, file, { maxBytes: max_bytes });
+
+      if (!result.success) {
         return {
           content: [
             {
               type: 'text',
-              text: output
+              text: `❌ ${result.error}`
             }
           ]
         };
-      } else {
+      }
+
+      if (result.binary) {
         return {
           content: [
             {
               type: 'text',
-              text: `❌ Failed to initialize slash commands: ${result.error}`
+              text: `📦 ${result.file} in ${result.checkpoint} is a binary file (${this.manager.formatSize(result.size)}) - its contents can't be shown as text. Use restore_claudepoint with files=["${result.file}"] to bring it back.`
             }
           ]
         };
       }
+
+      let output = `📄 ${result.file} @ ${result.checkpoint} (${this.manager.formatSize(result.size)})\n\n`;
+      const text = result.content.toString('utf8');
+      output += `\`\`\`\n${text}${text && !text.endsWith('\n') ? '\n' : ''}\`\`\`\n`;
+      if (result.truncated) {
+        output += `✂️  Truncated after ${result.content.length} of ${result.size} bytes - raise max_bytes to see more\n`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output
+          }
+        ]
+      };
     } catch (error) {
       return {
         content: [
           {
             type: 'text',
-            text: `❌ Error initializing slash commands: ${error.message}`
+            text: `🚨 Error reading claudepoint file: ${error.message}`
           }
         ]
       };
     }
   }
 
-  async handleSetup(args) {
+  async handleVerifyClaudepoint(args) {
+    const { claudepoint, quarantine = false } = args || {};
+
     try {
-      const result = await this.manager.setup();
-      
-      if (result.success) {
-        let output = '💾 ClaudePoint is ONLINE!\n\n';
-        output += '✨ Created .claudepoint vault\n';
-        output += '🔒 Updated .gitignore (stealth mode activated)\n';
-        output += '⚙️ Configuration loaded\n';
-        
-        if (result.initialCheckpoint) {
-          output += `✨ Deployed initial claudepoint: ${result.initialCheckpoint}\n`;
-        }
-        
-        output += '\n🚀 Quick command arsenal:\n';
-        output += '  • create_claudepoint - Deploy a new claudepoint\n';
-        output += '  • list_claudepoints - Browse your vault\n';
-        output += '  • restore_claudepoint - Time travel to previous state\n';
-        output += '  • undo_claudepoint - Quick time hack to last claudepoint\n';
-        output += '  • get_changes - Scan for code changes\n';
-        output += '  • get_changelog - View your coding adventure timeline\n';
-        output += '\n🎆 Tip: Deploy claudepoints before hacking the impossible!';
-        
+      const result = await this.manager.verifyCheckpoints(claudepoint, { quarantine });
+
+      if (!result.success) {
         return {
           content: [
             {
               type: 'text',
-              text: output
+              text: `🚨 Verify failed: ${result.error}`
             }
           ]
         };
-      } else {
+      }
+
+      let output;
+      if (result.ok) {
+        output = `✅ ${result.checked === 1 ? `Claudepoint ${result.healthy[0]} verified` : `All ${result.checked} claudepoints verified`} // Safe to restore`;
+      } else {
+        output = `🚨 Found ${result.problems.length} problems (${result.healthy.length}/${result.checked} claudepoints healthy)\n\n`;
+        result.problems.slice(0, 50).forEach(problem => {
+          output += `• ${problem.checkpoint} [${problem.type}] ${problem.message}\n`;
+        });
+        if (result.problems.length > 50) {
+          output += `... and ${result.problems.length - 50} more\n`;
+        }
+
+        output += result.quarantined.length > 0
+          ? `\n🧪 Quarantined ${result.quarantined.length} entries in .claudepoint/quarantine`
+          : '\n💡 Call again with quarantine=true to move damaged entries out of the vault';
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🚨 Verify failed: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async handlePinClaudepoint(args, pinned) {
+    const { claudepoint } = args || {};
+
+    if (!claudepoint) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🚨 No claudepoint specified. Please provide the name of the claudepoint to ${pinned ? 'pin' : 'unpin'}.`
+          }
+        ]
+      };
+    }
+
+    try {
+      const result = await this.manager.setPinned(claudepoint, pinned);
+
+      if (!result.success) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🚨 ${pinned ? 'Pin' : 'Unpin'} failed: ${result.error}`
+            }
+          ]
+        };
+      }
+
+      let output;
+      if (!result.changed) {
+        output = pinned ? `📌 Already pinned: ${result.name}` : `📍 Not pinned: ${result.name}`;
+      } else if (pinned) {
+        output = `📌 Pinned: ${result.name}\n🛡️ Cleanup will never delete this claudepoint`;
+      } else {
+        output = `📍 Unpinned: ${result.name}\n🧹 Subject to maxAge/maxCheckpoints cleanup again`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🚨 Error updating claudepoint: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async handleRestoreClaudepoint(args) {
+    const { claudepoint, dry_run = false, files, merge = false, base } = args || {};
+    const restoreOptions = { only: files, merge: merge || Boolean(base), base };
+    
+    try {
+      const checkpoints = await this.manager.getCheckpoints();
+      let targetCheckpoint;
+      try {
+        targetCheckpoint = await this.manager.resolveCheckpoint(claudepoint, checkpoints);
+      } catch (error) {
+        const available = checkpoints.slice(0, 5).map(cp => `  - ${cp.name}`).join('\n');
+        return {
+          content: [
+            {
+              type: 'text',
+              text: error.candidates
+                ? `🚨 ${error.message}`
+                : `🚨 ${error.message}\n\nAvailable claudepoints:\n${available}`
+            }
+          ]
+        };
+      }
+
+      if (dry_run) {
+        const plan = await this.manager.restore(targetCheckpoint.name, true, restoreOptions);
+        if (!plan.success) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `🚨 Dry run failed: ${plan.error}`
+              }
+            ]
+          };
+        }
+        
+        let output = `🔍 DRY RUN - Would restore: ${targetCheckpoint.name}\n`;
+        output += `   📝 Description: ${targetCheckpoint.description}\n`;
+        output += `   📅 Date: ${new Date(targetCheckpoint.timestamp).toLocaleString()}\n`;
+        output += `   📁 Files: ${targetCheckpoint.fileCount}\n`;
+        
+        if (plan.restoreStrategy === 'merge') {
+          output += this.formatMergeSummary(plan, true);
+          output += '\nUse restore_claudepoint without dry_run to proceed.';
+          return {
+            content: [
+              {
+                type: 'text',
+                text: output
+              }
+            ]
+          };
+        }
+
+        if (plan.restoreStrategy === 'selective') {
+          output += `   🎯 Would restore ${plan.filesToRestore.length} matching files:\n`;
+          plan.filesToRestore.slice(0, 20).forEach(file => {
+            output += `      ~ ${file}\n`;
+          });
+          if (plan.filesToRestore.length > 20) {
+            output += `      ... and ${plan.filesToRestore.length - 20} more\n`;
+          }
+        }
+        
+        if (plan.filesToDelete.length > 0) {
+          output += `   🗑️  Would delete ${plan.filesToDelete.length} files that didn't exist in checkpoint\n`;
+        }
+        
+        output += '\nUse restore_claudepoint without dry_run to proceed.';
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: output
+            }
+          ]
+        };
+      }
+
+      // Perform actual restore
+      const result = await this.manager.restore(targetCheckpoint.name, false, restoreOptions);
+      
+      if (result.success) {
+        const filesRestored = result.selective || result.merge ? result.filesToRestore.length : targetCheckpoint.fileCount;
+        let output = `${this.manager.getRandomMessage(this.manager.undoMessages)}\n   🔒 Emergency backup: ${result.emergencyBackup}\n   🔄 Restored: ${targetCheckpoint.name}\n   📁 Files restored: ${filesRestored}`;
+        if (result.merge) {
+          output += `\n${this.formatMergeSummary(result)}`;
+        } else if (result.selective) {
+          output += `\n   🗑️  Files removed: ${result.filesToDelete.length}\n   🎯 Only matching files were touched`;
+        }
+        return {
+          content: [
+            {
+              type: 'text',
+              text: output
+            }
+          ]
+        };
+      } else {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🚨 Time travel failed: ${result.error}${this.formatRestoreFailure(result)}`
+            }
+          ]
+        };
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🚨 Time travel error: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async handleInitSlashCommands(args) {
+    try {
+      const result = await initializeSlashCommands();
+      
+      if (result.success) {
+        let output = '🚀 ClaudePoint slash commands initialized!\n\n';
+        output += '✅ Created .claude/commands directory\n';
+        output += '✅ Added complete claudepoint command arsenal\n';
+        output += '✅ Created 7 essential slash commands\n';
+        output += '\n💡 Main slash commands:\n';
+        output += '  • /claudepoint - Deploy a new claudepoint\n';
+        output += '  • /undo - Instant time hack to last claudepoint\n';
+        output += '  • /claudepoint-restore - Time travel with interactive selection\n';
+        output += '  • /claudepoint-list - Browse your claudepoint vault\n';
+        output += '  • /changes - Scan for modifications\n';
+        output += '  • /claudepoint-changelog - View history\n';
+        output += '  • /ultrathink - Activate deep reasoning mode\n';
+        output += '\n🎯 Type / in Claude Code to see and use these commands!';
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: output
+            }
+          ]
+        };
+      } else {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Failed to initialize slash commands: ${result.error}`
+            }
+          ]
+        };
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error initializing slash commands: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async handleSetup(args) {
+    try {
+      const result = await this.manager.setup();
+      
+      if (result.success) {
+        let output = '💾 ClaudePoint is ONLINE!\n\n';
+        output += '✨ Created .claudepoint vault\n';
+        output += '🔒 Updated .gitignore (stealth mode activated)\n';
+        output += '⚙️ Configuration loaded\n';
+        
+        if (result.initialCheckpoint) {
+          output += `✨ Deployed initial claudepoint: ${result.initialCheckpoint}\n`;
+        }
+        
+        output += '\n🚀 Quick command arsenal:\n';
+        output += '  • create_claudepoint - Deploy a new claudepoint\n';
+        output += '  • list_claudepoints - Browse your vault\n';
+        output += '  • restore_claudepoint - Time travel to previous state\n';
+        output += '  • undo_claudepoint - Quick time hack to last claudepoint\n';
+        output += '  • redo_claudepoint - Reverse the last restore or undo\n';
+        output += '  • get_changes - Scan for code changes\n';
+        output += '  • get_changelog - View your coding adventure timeline\n';
+        output += '\n🎆 Tip: Deploy claudepoints before hacking the impossible!';
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: output
+            }
+          ]
+        };
+      } else {
         return {
           content: [
             {
@@ -659,7 +1228,7 @@ class ClaudePointMCPServer {
           content: [
             {
               type: 'text',
-              text: `${undoMsg}\n   🛡️ Emergency backup: ${result.emergencyBackup}\n   🔄 Restored: ${result.restored}\n   📅 Back to the future!`
+              text: `${undoMsg}\n   🛡️ Emergency backup: ${result.emergencyBackup}\n   🔄 Restored: ${result.restored}\n   📅 Back to the future! (redo_claudepoint reverses this)`
             }
           ]
         };
@@ -672,12 +1241,21 @@ class ClaudePointMCPServer {
             }
           ]
         };
+      } else if (result.noOlderClaudepoints) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: result.error
+            }
+          ]
+        };
       } else {
         return {
           content: [
             {
               type: 'text',
-              text: `🚨 Time hack failed: ${result.error}`
+              text: `🚨 Time hack failed: ${result.error}${this.formatRestoreFailure(result)}`
             }
           ]
         };
@@ -694,6 +1272,57 @@ class ClaudePointMCPServer {
     }
   }
 
+  // ↪️ Redo handler
+  async handleRedoClaudepoint(args) {
+    try {
+      const result = await this.manager.redoLastRestore();
+
+      if (result.success) {
+        let output = `↪️ REDO COMPLETE // Reverted ${result.reverted.action} of ${result.reverted.restored}\n`;
+        output += `   🛡️ Emergency backup: ${result.emergencyBackup}\n`;
+        output += `   🔄 Back to: ${result.reverted.emergencyBackup}`;
+        if (result.remaining > 0) {
+          output += `\n   ↪️ ${result.remaining} more step${result.remaining === 1 ? '' : 's'} to redo`;
+        }
+        return {
+          content: [
+            {
+              type: 'text',
+              text: output
+            }
+          ]
+        };
+      } else if (result.nothingToRedo) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: result.error
+            }
+          ]
+        };
+      } else {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🚨 Redo failed: ${result.error}${this.formatRestoreFailure(result)}`
+            }
+          ]
+        };
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🚨 Error during redo: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
   // 🔍 NEW: Changes handler
   async handleGetChanges(args) {
     try {
@@ -803,6 +1432,8 @@ class ClaudePointMCPServer {
       output += `   Max Claudepoints: ${status.maxClaudepoints}\n`;
       output += `   Current Claudepoints: ${status.currentClaudepoints}\n`;
       output += `   Max Age: ${status.maxAge} days ${status.maxAge === 0 ? '(unlimited)' : ''}\n`;
+      output += `   Vault Usage: ${this.manager.formatSize(status.vaultBytes)} in ${status.vaultObjects} objects${status.maxStorageBytes > 0 ? ` of ${this.manager.formatSize(status.maxStorageBytes)}` : ''}\n`;
+      output += `   Max Snapshot Size: ${status.maxCheckpointBytes > 0 ? this.manager.formatSize(status.maxCheckpointBytes) : 'unlimited'}\n`;
       output += `   Ignore Patterns: ${status.ignorePatterns} rules\n`;
       output += `   Auto Naming: ${status.autoName ? 'Enabled' : 'Disabled'}\n`;
       output += `   Config File: ${status.configPath}\n\n`;
@@ -852,7 +1483,7 @@ class ClaudePointMCPServer {
       const transport = new StdioServerTransport();
       await this.server.connect(transport);
       console.error('ClaudePoint MCP server running on stdio');
-      console.error('Available tools: setup_claudepoint, create_claudepoint, list_claudepoints, restore_claudepoint, undo_claudepoint, get_changes, configure_claudepoint, diff_claudepoint, get_changelog, set_changelog, init_slash_commands');
+      console.error('Available tools: setup_claudepoint, create_claudepoint, list_claudepoints, restore_claudepoint, undo_claudepoint, redo_claudepoint, get_changes, configure_claudepoint, diff_claudepoint, search_claudepoints, get_file_history, read_claudepoint_file, verify_claudepoint, pin_claudepoint, unpin_claudepoint, get_changelog, set_changelog, init_slash_commands');
       
       // Keep the process alive
       process.on('SIGINT', () => {
@@ -872,8 +1503,83 @@ class ClaudePointMCPServer {
     }
   }
 
+  // 🔀 Helper: Describe the outcome of a merge restore
+  formatMergeSummary(result, dryRun = false) {
+    let output = `   🔀 Merge base: ${result.base}\n`;
+    output += `   📥 ${dryRun ? 'Would take' : 'Took'} ${result.filesToRestore.length} files from the claudepoint, ${result.filesToDelete.length} removed\n`;
+
+    if (result.merged.length > 0) {
+      output += `   ✅ Merged cleanly: ${result.merged.join(', ')}\n`;
+    }
+    if (result.kept.length > 0) {
+      output += `   ✋ Local edits kept: ${result.kept.join(', ')}\n`;
+    }
+    if (result.conflicts.length > 0) {
+      output += `   ⚔️  Conflicts (${result.conflicts.length}):\n`;
+      result.conflicts.forEach(conflict => {
+        output += `      ! ${conflict.file} [${conflict.type}${conflict.count ? `, ${conflict.count} regions` : ''}]\n`;
+      });
+      if (!dryRun) {
+        output += '   Resolve the <<<<<<< / ======= / >>>>>>> markers in the content conflicts.\n';
+      }
+    }
+    return output;
+  }
+
+  // 🛡️ Helper: Describe the state a failed restore left the project in
+  formatRestoreFailure(result) {
+    if (!result.emergencyBackup) return '';
+
+    if (!result.projectModified) {
+      return '\n   🛡️ Project untouched // Nothing was written before the failure';
+    }
+    if (result.rolledBack) {
+      return `\n   🛡️ Rolled back to emergency backup: ${result.emergencyBackup}`;
+    }
+    return `\n   ⚠️ Rollback failed: ${result.rollbackError}\n   💡 Recover with restore_claudepoint: ${result.emergencyBackup}`;
+  }
+
+  // 📝 Helper: Render a generatePatch() result as text the agent can review
+  formatPatch(result) {
+    const symbols = { added: '+', modified: '~', deleted: '-' };
+    let output = '📁 Files:\n';
+
+    result.files.forEach(entry => {
+      if (entry.error) {
+        output += `   ⚠️  ${entry.file}: ${entry.error}\n`;
+      } else if (entry.binary) {
+        output += `   ${symbols[entry.status]} ${entry.file} (binary)\n`;
+      } else {
+        output += `   ${symbols[entry.status]} ${entry.file} (+${entry.additions} -${entry.deletions})\n`;
+      }
+    });
+
+    if (result.skipped > 0) {
+      output += `   ... and ${result.skipped} more files (increase maxFiles if needed)\n`;
+    }
+
+    output += `\n📊 ${result.additions} additions, ${result.deletions} deletions\n`;
+
+    if (result.patch) {
+      let patch = result.patch;
+      let truncated = false;
+      if (patch.length > MAX_PATCH_CHARS) {
+        patch = patch.slice(0, MAX_PATCH_CHARS);
+        patch = patch.slice(0, patch.lastIndexOf('\n') + 1);
+        truncated = true;
+      }
+
+      output += `\n\`\`\`diff\n${patch}\`\`\`\n`;
+      if (truncated) {
+        output += `✂️  Patch truncated at ${MAX_PATCH_CHARS} characters - pass file to see a single file\n`;
+      }
+    }
+
+    return output;
+  }
+
   async handleDiffClaudepoint(args) {
-    const { checkpoint, file, all, maxFiles } = args || {};
+    const { checkpoint, to_checkpoint, file, all, maxFiles, open_vscode = false } = args || {};
     
     if (!checkpoint) {
       return {
@@ -887,161 +1593,69 @@ class ClaudePointMCPServer {
     }
     
     try {
-      if (all) {
-        // Compare all changed files
-        const result = await this.manager.openVSCodeDiffAll(checkpoint, {
-          maxFiles: maxFiles || 10,
-          wait: false
-        });
-        
-        if (!result.success) {
-          if (result.noChanges) {
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: `✨ No changes to compare\n📍 Checkpoint: ${checkpoint}\n🎯 Everything is in sync!`
-                }
-              ]
-            };
-          }
-          
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `🚨 Diff failed: ${result.error}`
-              }
-            ]
-          };
-        }
-        
-        let output = `🎯 Opened ${result.successful} diffs in VSCode\n`;
-        output += `📍 Checkpoint: ${result.checkpointInfo.name}\n`;
-        output += `   Created: ${result.checkpointInfo.date}\n`;
-        output += `   Description: ${result.checkpointInfo.description}\n`;
-        
-        if (result.failed > 0) {
-          output += `⚠️  ${result.failed} files failed to open\n`;
-        }
-        
-        if (result.skipped > 0) {
-          output += `📋 ${result.skipped} files skipped (increase maxFiles if needed)\n`;
-        }
-        
-        output += '\n💡 Files opened in VSCode diff view - check your editor!';
-        
+      // 📝 NEW: Always answer with the patch itself so the agent can review its own changes
+      const result = await this.manager.generatePatch(checkpoint, {
+        toCheckpoint: to_checkpoint,
+        files: file ? [file] : undefined,
+        maxFiles: maxFiles || 10
+      });
+
+      if (!result.success) {
         return {
           content: [
             {
               type: 'text',
-              text: output
+              text: `🚨 Diff failed: ${result.error}`
             }
           ]
         };
-        
-      } else if (file) {
-        // Compare specific file
-        const result = await this.manager.openVSCodeDiff(checkpoint, file, {
-          wait: false
-        });
-        
-        if (!result.success) {
-          let output = `🚨 Diff failed: ${result.error}`;
-          if (result.suggestion) {
-            output += `\n💡 ${result.suggestion}`;
-          }
-          
-          return {
-            content: [
-              {
-                type: 'text',
-                text: output
-              }
-            ]
-          };
-        }
-        
-        let output = `🎯 Opened diff in VSCode: ${file}\n`;
-        output += `📍 Checkpoint: ${result.checkpointInfo.name}\n`;
-        output += `   Created: ${result.checkpointInfo.date}\n`;
-        output += `   Description: ${result.checkpointInfo.description}\n`;
-        output += '\n💡 Comparing: Checkpoint vs Current';
-        
+      }
+
+      const target = to_checkpoint ? `checkpoint ${to_checkpoint}` : 'current files';
+
+      if (!result.patch) {
         return {
           content: [
             {
               type: 'text',
-              text: output
+              text: `✨ No changes to compare\n📍 Checkpoint: ${result.checkpointInfo.name}\n🎯 Identical to ${target}!`
             }
           ]
         };
-        
-      } else {
-        // Show changed files and usage instructions
-        const changes = await this.manager.getChangedFilesSinceLastClaudepoint();
-        
-        if (!changes.hasLastClaudepoint) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: '🆕 No previous checkpoint found\n💡 Create a checkpoint first, then make changes to see diffs'
-              }
-            ]
-          };
-        }
-        
-        if (changes.totalChanges === 0) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `✨ No changes detected\n📍 Since checkpoint: ${changes.lastClaudepointName}\n🎯 Everything is in sync!`
-              }
-            ]
-          };
-        }
-        
-        const changedFiles = [...changes.modified, ...changes.added];
-        
-        if (changedFiles.length === 0) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: '💡 Only deletions found - nothing to compare\nUse all=true parameter to see all changes including deletions.'
-              }
-            ]
-          };
-        }
-        
-        let output = `🎯 Found ${changes.totalChanges} changed files since ${changes.lastClaudepointName}:\n\n`;
-        output += '📁 Changed files:\n';
-        
-        changedFiles.slice(0, 10).forEach((file, index) => {
-          const prefix = changes.modified.includes(file) ? '📝' : '➕';
-          output += `   ${index + 1}. ${prefix} ${file}\n`;
-        });
-        
-        if (changedFiles.length > 10) {
-          output += `   ... and ${changedFiles.length - 10} more files\n`;
-        }
-        
-        output += '\n🚀 To compare files:\n';
-        output += `• Use file parameter for specific file: {"checkpoint": "${checkpoint}", "file": "src/example.js"}\n`;
-        output += `• Use all=true for all changed files: {"checkpoint": "${checkpoint}", "all": true}`;
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: output
-            }
-          ]
+      }
+
+      let output = `🔍 Diff: ${result.checkpointInfo.name} → ${target}\n`;
+      output += `   Created: ${result.checkpointInfo.date}\n`;
+      output += `   Description: ${result.checkpointInfo.description}\n\n`;
+      output += this.formatPatch(result);
+
+      // Visual diffs are still available on request
+      if ((file || all) && open_vscode) {
+        const vscodeOptions = {
+          toCheckpoint: to_checkpoint,
+          maxFiles: maxFiles || 10,
+          wait: false
         };
+        const vscode = file
+          ? await this.manager.openVSCodeDiff(checkpoint, file, vscodeOptions)
+          : await this.manager.openVSCodeDiffAll(checkpoint, vscodeOptions);
+
+        if (vscode.success) {
+          output += `\n💡 ${file ? `Opened diff in VSCode: ${file}` : `Opened ${vscode.successful} diffs in VSCode`}`;
+        } else {
+          output += `\n⚠️  VSCode diff not opened: ${vscode.error}`;
+        }
       }
       
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output
+          }
+        ]
+      };
+      
     } catch (error) {
       return {
         content: [